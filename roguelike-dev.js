@@ -16,14 +16,60 @@
 
 let DEBUG_ALL_EXPLORED = false;
 
-const WIDTH = 60, HEIGHT = 25;
+const WIDTH = 60, HEIGHT = 25; // display size
+const MAP_WIDTH = 80, MAP_HEIGHT = 40; // default dungeon size
 const STORAGE_KEY = window.location.pathname + '-savegame';
+const KEYBINDINGS_STORAGE_KEY = window.location.pathname + '-keybindings';
+const CAMERA_STORAGE_KEY = window.location.pathname + '-camera';
 ROT.RNG.setSeed(127);
 
-const display = new ROT.Display({width: 60, height: 25, fontSize: 16, fontFamily: 'monospace'});
+const display = new ROT.Display({width: WIDTH, height: HEIGHT, fontSize: 16, fontFamily: 'monospace'});
 display.getContainer().setAttribute('id', "game");
 document.querySelector("figure").appendChild(display.getContainer());
 
+/** The camera decides which part of the map is on the display.
+    mode 'centered' keeps the target in the middle of the display;
+    mode 'deadzone' only scrolls when the target gets within `margin`
+    tiles of the edge, and stops at the edges of the map. */
+function createCamera(mode, margin) {
+    let left = 0, top = 0; // map position of the display's top left
+
+    function deadZoneAxis(start, position, screenSize, mapSize, margin) {
+        start = ROT.Util.clamp(start, position - (screenSize - 1 - margin), position - margin);
+        if (mapSize <= screenSize) return -((screenSize - mapSize) >> 1); // center the map
+        return ROT.Util.clamp(start, 0, mapSize - screenSize);
+    }
+
+    return {
+        mode,
+        follow(target, map) {
+            if (this.mode === 'centered') {
+                left = target.x - (WIDTH >> 1);
+                top = target.y - (HEIGHT >> 1);
+            } else {
+                left = deadZoneAxis(left, target.x, WIDTH, map.width, margin.x);
+                top = deadZoneAxis(top, target.y, HEIGHT, map.height, margin.y);
+            }
+        },
+        toScreen(x, y) { return [x - left, y - top]; },
+        toMap(sx, sy) { return [sx + left, sy + top]; },
+    };
+}
+const CAMERA_MODES = ['deadzone', 'centered'];
+/* The player can switch camera modes, and the choice is kept in
+   localStorage, separately from the saved game like the key bindings */
+const camera = createCamera(
+    CAMERA_MODES.includes(window.localStorage.getItem(CAMERA_STORAGE_KEY))
+        ? window.localStorage.getItem(CAMERA_STORAGE_KEY) : CAMERA_MODES[0],
+    {x: 15, y: 7});
+
+/** map position under the mouse, or null if it's not over the display */
+function eventToMapPosition(event) {
+    let [sx, sy] = display.eventToPosition(event); // returns -1, -1 for out of bounds
+    if (sx < 0 || sy < 0) return null;
+    return camera.toMap(sx, sy);
+}
+
 const EQUIP_MAIN_HAND = 0;
 const EQUIP_OFF_HAND = 1;
 
@@ -88,25 +134,59 @@ const [setOverlayMessage, setTemporaryOverlayMessage] = (() => {
 // entities
 
 /** Entity properties that are shared among all the instances of the type.
-    visuals: [char, fg, optional bg, true if can be seen outside fov]
+    visuals: [char, fg, optional bg]
     item: true if can go into inventory
+    stackable: true if several of them share one inventory slot, with a count
+    blast_radius: for targeted items, how far from the target tile the effect reaches
+    speed: 100 is normal; an entity with speed 200 acts twice as often
+    hunt_turns: how long a monster keeps chasing an enemy it can no longer see
+    faction: who it fights, see HOSTILE_FACTIONS
     equipment_slot: 0–25 if it can go into equipment, undefined otherwise
+    trap: which of TRAP_EFFECTS it sets off; traps are hidden until `revealed`
+    knows_traps: true for monsters that won't walk into traps
+    light: [radius, [r, g, b]] for things that give off light
+    description: flavor text for look mode
 */
 const ENTITY_PROPERTIES = {
-    player: { blocks: true, render_order: 5, visuals: ['@', "hsl(60, 100%, 70%)"], },
-    stairs: { stairs: true, render_order: 1, visuals: ['>', "hsl(200, 100%, 90%)", undefined, true], },
-    troll:  { blocks: true, render_order: 3, visuals: ['T', "hsl(120, 60%, 30%)"], xp_award: 100, },
-    orc:    { blocks: true, render_order: 3, visuals: ['o', "hsl(100, 30%, 40%)"], xp_award: 35, },
-    corpse: { blocks: false, render_order: 0, visuals: ['%', "darkred"], },
-    'healing potion': { item: true, render_order: 2, visuals: ['!', "violet"], },
-    'lightning scroll': { item: true, render_order: 2, visuals: ['#', "hsl(60, 50%, 75%)"], },
-    'fireball scroll': { item: true, render_order: 2, visuals: ['#', "hsl(0, 50%, 50%)"], },
-    'confusion scroll': { item: true, render_order: 2, visuals: ['#', "hsl(0, 100%, 75%)"], },
-    dagger: { item: true, equipment_slot: EQUIP_MAIN_HAND, render_order: 2, bonus_power: 0, visuals: ['-', "hsl(200, 30%, 90%)"], },
-    sword: { item: true, equipment_slot: EQUIP_MAIN_HAND, render_order: 2, bonus_power: 3, visuals: ['/', "hsl(200, 30%, 90%)"], },
-    towel: { item: true, equipment_slot: EQUIP_OFF_HAND, render_order: 2, bonus_defense: 0, visuals: ['~', "hsl(40, 50%, 80%)"], },
-    shield: { item: true, equipment_slot: EQUIP_OFF_HAND, render_order: 2, bonus_defense: 1, visuals: ['[', "hsl(40, 50%, 80%)"], },
+    player: { blocks: true, render_order: 5, faction: 'player', speed: 100, light: [4, [255, 210, 150]], visuals: ['@', "hsl(60, 100%, 70%)"], description: "A brave adventurer, looking for glory deep in the dungeon.", },
+    stairs: { stairs: 'down', render_order: 1, visuals: ['>', "hsl(200, 100%, 90%)"], description: "Stairs leading further down into the dungeon.", },
+    upstairs: { stairs: 'up', render_order: 1, visuals: ['<', "hsl(200, 100%, 90%)"], description: "Stairs leading back up toward the surface.", },
+    troll:  { blocks: true, render_order: 3, faction: 'trolls', speed: 75, hunt_turns: 20, visuals: ['T', "hsl(120, 60%, 30%)"], xp_award: 100, description: "A hulking troll. Slow on its feet and slow-witted, but it hits very hard.", },
+    orc:    { blocks: true, render_order: 3, faction: 'orcs', speed: 100, hunt_turns: 10, knows_traps: true, visuals: ['o', "hsl(100, 30%, 40%)"], xp_award: 35, description: "A scrawny orc armed with a rusty blade.", },
+    torch:  { render_order: 1, light: [9, [255, 190, 110]], visuals: ['*', "hsl(35, 100%, 60%)"], description: "A torch in an iron bracket, burning steadily.", },
+    flames: { render_order: 4, light: [4, [255, 90, 30]], visuals: ['&', "hsl(15, 100%, 55%)"], description: "What's left of a fireball, still burning.", },
+    corpse: { blocks: false, render_order: 0, visuals: ['%', "darkred"], description: "The remains of something that lost a fight.", },
+    bones:  { blocks: false, render_order: 0, visuals: ['%', "hsl(40, 20%, 70%)"], description: "A pile of bones, picked clean.", },
+    'dart trap': { trap: 'dart', render_order: 0, visuals: ['^', "hsl(0, 0%, 75%)"], description: "A pressure plate that shoots poisoned darts.", },
+    'teleport trap': { trap: 'teleport', render_order: 0, visuals: ['^', "hsl(280, 80%, 70%)"], description: "A glowing rune that sends whoever steps on it somewhere else.", },
+    pit: { trap: 'pit', render_order: 0, visuals: ['^', "hsl(30, 40%, 50%)"], description: "A hole in the floor, covered with rotten boards. It goes down a long way.", },
+    'alarm trap': { trap: 'alarm', render_order: 0, visuals: ['^', "hsl(50, 90%, 60%)"], description: "A tripwire tied to a bell loud enough to wake the whole level.", },
+    'gas trap': { trap: 'gas', render_order: 0, visuals: ['^', "hsl(120, 50%, 60%)"], description: "A vent that puffs out confusing gas.", },
+    'flash trap': { trap: 'flash', render_order: 0, visuals: ['^', "hsl(0, 0%, 100%)"], description: "A glass bead that bursts into a blinding light when stepped on.", },
+    'healing potion': { item: true, stackable: true, render_order: 2, visuals: ['!', "violet"], description: "A violet potion that mends wounds.", },
+    'haste potion': { item: true, stackable: true, render_order: 2, visuals: ['!', "hsl(40, 100%, 60%)"], description: "A fizzing orange potion that makes you move twice as fast for a while.", },
+    'regeneration potion': { item: true, stackable: true, render_order: 2, visuals: ['!', "hsl(120, 80%, 60%)"], description: "A bright green potion that slowly heals wounds over time.", },
+    'lightning scroll': { item: true, stackable: true, render_order: 2, visuals: ['#', "hsl(60, 50%, 75%)"], description: "Calls down lightning on the nearest enemy.", },
+    'fireball scroll': { item: true, stackable: true, blast_radius: 3, render_order: 2, visuals: ['#', "hsl(0, 50%, 50%)"], description: "Hurls a fireball that burns everything near where it lands.", },
+    'confusion scroll': { item: true, stackable: true, render_order: 2, visuals: ['#', "hsl(0, 100%, 75%)"], description: "Makes an enemy stumble around aimlessly for a while.", },
+    'slow scroll': { item: true, stackable: true, render_order: 2, visuals: ['#', "hsl(240, 60%, 75%)"], description: "Makes an enemy move at half speed for a while.", },
+    key: { item: true, stackable: true, render_order: 2, visuals: ['¬', "hsl(50, 100%, 60%)"], description: "An iron key. It unlocks one locked door, and gets stuck in the lock.", },
+    dagger: { item: true, equipment_slot: EQUIP_MAIN_HAND, render_order: 2, bonus_power: 0, visuals: ['-', "hsl(200, 30%, 90%)"], description: "A small but trusty blade.", },
+    sword: { item: true, equipment_slot: EQUIP_MAIN_HAND, render_order: 2, bonus_power: 3, visuals: ['/', "hsl(200, 30%, 90%)"], description: "A sturdy sword, much better than a dagger.", },
+    towel: { item: true, equipment_slot: EQUIP_OFF_HAND, render_order: 2, bonus_defense: 0, visuals: ['~', "hsl(40, 50%, 80%)"], description: "Every adventurer should know where their towel is.", },
+    shield: { item: true, equipment_slot: EQUIP_OFF_HAND, render_order: 2, bonus_defense: 1, visuals: ['[', "hsl(40, 50%, 80%)"], description: "A wooden shield that deflects some blows.", },
+};
+/** Which factions attack which. Anyone not listed here is left alone,
+    and nobody attacks their own faction. */
+const HOSTILE_FACTIONS = {
+    player: ['orcs', 'trolls'],
+    orcs:   ['player', 'trolls'],
+    trolls: ['player', 'orcs'],
 };
+function isHostile(a, b) {
+    return (HOSTILE_FACTIONS[a.faction] || []).includes(b.faction);
+}
+
 /* Always use the current value of 'type' to get the entity
    properties, so that we can change the object type later (e.g. to
    'corpse'). JS lets us forward these properties to a getter, and I
@@ -127,6 +207,11 @@ const entity_prototype = {
     get effective_max_hp() { return this.base_max_hp + this.increased_max_hp; },
     get effective_power() { return this.base_power + this.increased_power; },
     get effective_defense() { return this.base_defense + this.increased_defense; },
+    get effective_speed() {
+        return this.speed * (hasStatus(this, 'hasted') ? 2 : 1) * (hasStatus(this, 'slowed') ? 0.5 : 1);
+    },
+    getSpeed() { return this.effective_speed; }, // for ROT.Scheduler.Speed
+    get sight_radius() { return hasStatus(this, 'blind') ? 1 : 10; },
 };
 for (let property of
      new Set(Object.values(ENTITY_PROPERTIES).flatMap(p => Object.keys(p))).values()) {
@@ -135,13 +220,14 @@ for (let property of
 }
 
 /* Schema:
- * location: {x:int, y:int}
+ * count: int - how many are in a stack, if .stackable; missing means 1
+ * location: {x:int, y:int, z:int} -- z is the dungeon level
  *          | {carried_by:id, slot:int} -- allowed only if .item
  *          | {equipped_by:id, slot:int} -- allowed only if .equipment === slot
  * inventory: Array<null|int> - should only contain entities with .item
  * equipment: Array<null|int> - should contain only items with .equipment
  */
-const NOWHERE = {x: -1, y: -1}; // TODO: figure out a better location
+const NOWHERE = {x: -1, y: -1, z: -1}; // TODO: figure out a better location
 let entities = new Map();
 function createEntity(type, location, properties={}) {
     let id = ++createEntity.id;
@@ -157,26 +243,38 @@ function createEntity(type, location, properties={}) {
 }
 createEntity.id = 0;
 
-/** euclidean distance */
+/** Distance in steps. Moving diagonally is as fast as moving straight,
+    so this is the larger of dx and dy, which is also the shape of the
+    field of view. All the ranges in the game use it: sight, blasts,
+    spells, noise. */
 function distance(a, b) {
-    return Math.hypot(a.x - b.x, a.y - b.y);
+    return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
 }
 
-/** return all entities at (x,y) */
-function allEntitiesAt(x, y) {
-    return Array.from(entities.values()).filter(e => e.location.x === x && e.location.y === y);
+/** Diagonal steps can't cut across the corner of a wall, or squeeze
+    between two walls. This applies to the player and monsters, to
+    attacks as well as moves, and to pathfinding. */
+function isDiagonalBlocked(x, y, dx, dy) {
+    if (dx === 0 || dy === 0) { return false; }
+    const isWall = (x, y) => !tileMap.has(x, y) || tileMap.get(x, y).wall;
+    return isWall(x + dx, y) || isWall(x, y + dy);
 }
 
-/** return an item at (x,y) or null if there isn't one */
-function itemEntityAt(x, y) {
-    let entities = allEntitiesAt(x, y).filter(e => e.item);
+/** return all entities at (x,y,z); z defaults to the current level */
+function allEntitiesAt(x, y, z=tileMap.dungeonLevel) {
+    return Array.from(entities.values()).filter(e => e.location.x === x && e.location.y === y && e.location.z === z);
+}
+
+/** return an item at (x,y,z) or null if there isn't one */
+function itemEntityAt(x, y, z=tileMap.dungeonLevel) {
+    let entities = allEntitiesAt(x, y, z).filter(e => e.item);
     return entities[0] || null;
 }
 
-/** return a blocking entity at (x,y) or null if there isn't one */
-function blockingEntityAt(x, y) {
-    let entities = allEntitiesAt(x, y).filter(e => e.blocks);
-    if (entities.length > 1) throw `invalid: more than one blocking entity at ${x},${y}`;
+/** return a blocking entity at (x,y,z) or null if there isn't one */
+function blockingEntityAt(x, y, z=tileMap.dungeonLevel) {
+    let entities = allEntitiesAt(x, y, z).filter(e => e.blocks);
+    if (entities.length > 1) throw `invalid: more than one blocking entity at ${x},${y},${z}`;
     return entities[0] || null;
 }
 
@@ -205,7 +303,7 @@ function swapEquipment(entity, inventory_slot, equipment_slot) {
 }
 
 /** move an entity to a new location:
- *   {x:int y:int} on the map
+ *   {x:int y:int z:int} on the map
  *   {carried_by_by:id slot:int} in id's 'inventory' 
  *   {equipped_by:id slot:int} is a valid location but NOT allowed here
  */
@@ -253,48 +351,194 @@ let player = (function() {
     return player;
 })();
 
+/** rooms are stored as {x1, y1, x2, y2} rectangles, inclusive, so
+    that they can be saved with the map. Caves and mazes don't have
+    rooms, so they use regions of floor {tiles: [{x, y}, …]} instead. */
+function roomCenter(room) {
+    if (room.tiles) {
+        // The middle of a region might be a wall, so use the floor tile closest to it
+        let middle = {
+            x: room.tiles.reduce((sum, t) => sum + t.x, 0) / room.tiles.length,
+            y: room.tiles.reduce((sum, t) => sum + t.y, 0) / room.tiles.length,
+        };
+        let closest = room.tiles.reduce((a, b) => distance(a, middle) <= distance(b, middle) ? a : b);
+        return {x: closest.x, y: closest.y};
+    }
+    return {x: Math.round((room.x1 + room.x2) / 2), y: Math.round((room.y1 + room.y2) / 2)};
+}
+
+function isInsideRoom(room, x, y) {
+    if (room.tiles) {
+        return room.tiles.some(t => t.x === x && t.y === y);
+    }
+    return room.x1 <= x && x <= room.x2 && room.y1 <= y && y <= room.y2;
+}
+
+function randomRoomLocation(room) {
+    if (room.tiles) {
+        let {x, y} = room.tiles[randint(0, room.tiles.length-1)];
+        return {x, y};
+    }
+    return {x: randint(room.x1, room.x2), y: randint(room.y1, room.y2)};
+}
+
+/** the per-monster stats that aren't in ENTITY_PROPERTIES, because
+    each monster has its own copy that can change */
+const MONSTER_STATS = {
+    orc:   {base_max_hp: 20, base_defense: 0, base_power: 4},
+    troll: {base_max_hp: 30, base_defense: 2, base_power: 8},
+};
+
+function spawnMonster(type, location, behavior) {
+    // Each monster needs its own ai object, as it keeps memories in there
+    return createEntity(type, location, {...MONSTER_STATS[type], ai: {behavior}});
+}
+
 function populateRoom(room, dungeonLevel) {
     let maxMonstersPerRoom = evaluateStepFunction([[1, 2], [4, 3], [6, 5]], dungeonLevel),
         maxItemsPerRoom = evaluateStepFunction([[1, 1], [4, 2]], dungeonLevel);
 
-    const ai = {behavior: 'move_to_player'};
     const monsterChances = {
         orc: 80,
         troll: evaluateStepFunction([[3, 15], [5, 30], [7, 60]], dungeonLevel),
     };
-    const monsterProps = {
-        orc:   {base_max_hp: 20, base_defense: 0, base_power: 4, ai},
-        troll: {base_max_hp: 30, base_defense: 2, base_power: 8, ai},
+    const behaviorChances = {
+        sleeping: 50,
+        wandering: 30,
+        hunting: 20,
     };
     
     const numMonsters = randint(0, maxMonstersPerRoom);
     for (let i = 0; i < numMonsters; i++) {
-        let x = randint(room.getLeft(), room.getRight()),
-            y = randint(room.getTop(), room.getBottom());
-        if (!blockingEntityAt(x, y)) {
+        let {x, y} = randomRoomLocation(room);
+        if (!blockingEntityAt(x, y, dungeonLevel)) {
             let type = ROT.RNG.getWeightedValue(monsterChances);
-            createEntity(type, {x, y}, monsterProps[type]);
+            spawnMonster(type, {x, y, z: dungeonLevel}, ROT.RNG.getWeightedValue(behaviorChances));
         }
     }
 
     const itemChances = {
         'healing potion': 70,
+        'haste potion': evaluateStepFunction([[3, 10]], dungeonLevel),
+        'regeneration potion': evaluateStepFunction([[2, 10]], dungeonLevel),
         'lightning scroll': evaluateStepFunction([[4, 25]], dungeonLevel),
         'fireball scroll': evaluateStepFunction([[6, 25]], dungeonLevel),
         'confusion scroll': evaluateStepFunction([[2, 10]], dungeonLevel),
+        'slow scroll': evaluateStepFunction([[3, 10]], dungeonLevel),
         sword: evaluateStepFunction([[4, 5]], dungeonLevel),
         shield: evaluateStepFunction([[8, 15]], dungeonLevel),
     };
     const numItems = randint(0, maxItemsPerRoom);
     for (let i = 0; i < numItems; i++) {
-        let x = randint(room.getLeft(), room.getRight()),
-            y = randint(room.getTop(), room.getBottom());
-        if (allEntitiesAt(x, y).length === 0) {
-            createEntity(ROT.RNG.getWeightedValue(itemChances), {x, y});
+        let {x, y} = randomRoomLocation(room);
+        if (allEntitiesAt(x, y, dungeonLevel).length === 0) {
+            createEntity(ROT.RNG.getWeightedValue(itemChances), {x, y, z: dungeonLevel});
+        }
+    }
+}
+
+/** Lit rooms get a torch on the wall above the middle; the others are
+    dark, so the player only sees as far as their own light reaches.
+    Caves and mazes are always dark. */
+function placeTorches(tileMap) {
+    let litChance = evaluateStepFunction([[1, 90], [3, 70], [5, 50], [8, 30]], tileMap.dungeonLevel);
+    for (let room of tileMap.rooms) {
+        if (room.tiles || ROT.RNG.getPercentage() > litChance) { continue; }
+        let {x} = roomCenter(room), y = room.y1 - 1;
+        if (tileMap.get(x, y).wall) {
+            createEntity('torch', {x, y, z: tileMap.dungeonLevel});
         }
     }
 }
 
+function placeTraps(tileMap) {
+    let dungeonLevel = tileMap.dungeonLevel;
+    const numTraps = evaluateStepFunction([[1, 2], [3, 4], [6, 6]], dungeonLevel);
+    const trapChances = {
+        'dart trap': 40,
+        'alarm trap': evaluateStepFunction([[2, 20]], dungeonLevel),
+        'gas trap': evaluateStepFunction([[2, 20]], dungeonLevel),
+        'flash trap': evaluateStepFunction([[2, 15]], dungeonLevel),
+        pit: evaluateStepFunction([[3, 15]], dungeonLevel),
+        'teleport trap': evaluateStepFunction([[4, 15]], dungeonLevel),
+    };
+    const ATTEMPTS = 100;
+    for (let i = 0; i < numTraps; i++) {
+        // Anywhere on the floor, corridors included
+        for (let attempt = 0; attempt < ATTEMPTS; attempt++) {
+            let x = randint(0, tileMap.width-1),
+                y = randint(0, tileMap.height-1);
+            if (tileMap.get(x, y).walkable && allEntitiesAt(x, y, dungeonLevel).length === 0) {
+                createEntity(ROT.RNG.getWeightedValue(trapChances), {x, y, z: dungeonLevel}, {revealed: false});
+                break;
+            }
+        }
+    }
+}
+
+/** What each monster type drops when it dies. Each weight is a step
+    function of the dungeon level, like the chances in populateRoom. */
+const LOOT_TABLES = {
+    orc: {
+        nothing: [[1, 70]],
+        'healing potion': [[1, 20]],
+        'confusion scroll': [[2, 5]],
+        'haste potion': [[3, 5]],
+    },
+    troll: {
+        nothing: [[1, 40], [6, 25]],
+        'healing potion': [[1, 25]],
+        sword: [[1, 10]],
+        shield: [[1, 15], [6, 25]],
+        'lightning scroll': [[4, 10]],
+    },
+};
+
+/** find a tile at or around (x,y,z) that doesn't have an item yet,
+    spreading out over the floor from there, so that an item never ends
+    up on the other side of a wall */
+function findItemDropLocation({x, y, z}) {
+    const MAX_STEPS = 3;
+    let level = tileMaps.get(z);
+    let isFloor = (x, y) => level.has(x, y) && level.get(x, y).walkable;
+    if (!isFloor(x, y)) { return null; }
+    let reached = createMap();
+    let queue = [{x, y, steps: 0}];
+    reached.set(x, y, true);
+    while (queue.length > 0) {
+        let current = queue.shift();
+        if (!itemEntityAt(current.x, current.y, z)) {
+            return {x: current.x, y: current.y, z};
+        }
+        if (current.steps === MAX_STEPS) { continue; }
+        for (let [dx, dy] of ROT.DIRS[4]) {
+            let next = {x: current.x + dx, y: current.y + dy, steps: current.steps + 1};
+            if (!reached.has(next.x, next.y) && isFloor(next.x, next.y)) {
+                reached.set(next.x, next.y, true);
+                queue.push(next);
+            }
+        }
+    }
+    return null;
+}
+
+function dropLoot(entity) {
+    let table = LOOT_TABLES[entity.type];
+    if (!table) { return; }
+    let chances = {};
+    for (let [type, steps] of Object.entries(table)) {
+        chances[type] = evaluateStepFunction(steps, entity.location.z);
+    }
+    let type = ROT.RNG.getWeightedValue(chances);
+    if (type === 'nothing') { return; }
+    let location = findItemDropLocation(entity.location);
+    if (!location) { return; }
+    createEntity(type, location);
+    if (canSee(player, location)) {
+        print(`The ${entity.name} drops a ${type}.`, 'info');
+    }
+}
+
 function createMap() {
     function key(x, y) { return `${x},${y}`; }
     return {
@@ -311,99 +555,657 @@ function updateTileMapFov(tileMap) {
     // the save file but this fov should not. It just happens to work
     // because ROT doesn't expose the fov data in a JSON compatible
     // way, but it's not a great design.
+    //
+    // Light passes through walkable tiles only, so a door blocks sight
+    // while it's closed and stops blocking it as soon as it's opened.
     tileMap.fov = new ROT.FOV.PreciseShadowcasting(
         (x, y) => tileMap.has(x, y) && tileMap.get(x, y).walkable
     );
 }
 
-function createTileMap(dungeonLevel) {
-    let tileMap = createMap();
-    const digger = new ROT.Map.Digger(WIDTH, HEIGHT);
-    digger.create((x, y, contents) =>
-        tileMap.set(x, y, {
-            walkable: contents === 0,
-            wall: contents === 1,
-            explored: false,
-        })
-    );
-    tileMap.dungeonLevel = dungeonLevel;
-    tileMap.rooms = digger.getRooms();
-    tileMap.corridors = digger.getCorridors();
+/** Door tiles have door: 'open', 'closed' or 'locked'. The state is
+    part of the tile so that it's saved with the map. */
+const DOOR_VISUALS = {
+    open:   ["'", "hsl(30, 60%, 50%)"],
+    closed: ['+', "hsl(30, 60%, 50%)"],
+    locked: ['+', "hsl(0, 70%, 60%)"],
+};
+
+function setDoor(tile, state) {
+    tile.door = state;
+    tile.walkable = state === 'open';
+}
+
+/** put closed doors in some of the doorways, and lock a few of them on
+    deeper levels; returns the number of locked doors */
+function placeDoors(tileMap, doorways) {
+    const DOOR_CHANCE = 60;
+    let numLocked = evaluateStepFunction([[2, 1], [5, 2]], tileMap.dungeonLevel);
+    let doors = doorways.filter(() => ROT.RNG.getPercentage() <= DOOR_CHANCE);
+    doors = ROT.RNG.shuffle(doors);
+    doors.forEach(({x, y}, i) => setDoor(tileMap.get(x, y), i < numLocked ? 'locked' : 'closed'));
+    return Math.min(numLocked, doors.length);
+}
+
+/** the tiles that can be reached from start without a key */
+function floodFillUnlocked(tileMap, start) {
+    return floodFill(start, (x, y) => tileMap.has(x, y)
+                     && (tileMap.get(x, y).walkable || tileMap.get(x, y).door === 'closed'));
+}
+
+/** Keys go in rooms the player can reach from `start` without going
+    through a locked door, so that every locked door can be opened */
+function placeKeys(tileMap, start, numKeys) {
+    let candidates = floodFillUnlocked(tileMap, start).filter(({x, y}) =>
+        tileMap.rooms.some(room => isInsideRoom(room, x, y))
+        && allEntitiesAt(x, y, tileMap.dungeonLevel).length === 0);
+    for (let {x, y} of ROT.RNG.shuffle(candidates).slice(0, numKeys)) {
+        createEntity('key', {x, y, z: tileMap.dungeonLevel});
+    }
+}
+
+/** the tiles reachable from start, in breadth first order, stopping
+    after maxSize tiles */
+function floodFill(start, passable, maxSize=Infinity) {
+    let tiles = [];
+    let seen = new Set([`${start.x},${start.y}`]);
+    let queue = [{x: start.x, y: start.y}];
+    while (queue.length > 0 && tiles.length < maxSize) {
+        let {x, y} = queue.shift();
+        tiles.push({x, y});
+        for (let [dx, dy] of ROT.DIRS[4]) {
+            let key = `${x + dx},${y + dy}`;
+            if (!seen.has(key) && passable(x + dx, y + dy)) {
+                seen.add(key);
+                queue.push({x: x + dx, y: y + dy});
+            }
+        }
+    }
+    return tiles;
+}
+
+/** split the floor into regions of up to maxSize tiles, to be used as
+    rooms on levels that don't have any; leftover bits smaller than
+    minSize don't count as rooms, so that they don't get as many
+    monsters as a real room */
+function floodFillRegions(tileMap, maxSize=150, minSize=20) {
+    let claimed = createMap();
+    let regions = [];
+    for (let y = 0; y < tileMap.height; y++) {
+        for (let x = 0; x < tileMap.width; x++) {
+            if (!tileMap.get(x, y).walkable || claimed.has(x, y)) { continue; }
+            let tiles = floodFill({x, y}, (x, y) => tileMap.has(x, y) && tileMap.get(x, y).walkable
+                                  && !claimed.has(x, y), maxSize);
+            for (let t of tiles) claimed.set(t.x, t.y, true);
+            if (tiles.length >= minSize) regions.push({tiles});
+        }
+    }
+    return regions;
+}
+
+/** can every walkable tile and door be reached from every other? Locked
+    doors count, as the keys are placed where the player can get them. */
+function isConnected(tileMap) {
+    const passable = (x, y) => tileMap.has(x, y)
+          && (tileMap.get(x, y).walkable || tileMap.get(x, y).door !== undefined);
+    let all = Object.values(tileMap._values).filter(tile => tile.walkable || tile.door);
+    if (all.length === 0) { return false; }
+    let start = null;
+    for (let y = 0; y < tileMap.height && !start; y++) {
+        for (let x = 0; x < tileMap.width && !start; x++) {
+            if (passable(x, y)) start = {x, y};
+        }
+    }
+    return floodFill(start, passable).length === all.length;
+}
+
+function setTile(tileMap, x, y, contents) {
+    tileMap.set(x, y, {
+        walkable: contents === 0,
+        wall: contents === 1,
+        explored: false,
+    });
+}
+
+/** the walkable tiles just outside a rectangular room */
+function findDoorways(tileMap, rooms) {
+    let doorways = new Map();
+    for (let room of rooms) {
+        for (let y = room.y1 - 1; y <= room.y2 + 1; y++) {
+            for (let x = room.x1 - 1; x <= room.x2 + 1; x++) {
+                if (isInsideRoom(room, x, y)) { continue; }
+                if (tileMap.has(x, y) && tileMap.get(x, y).walkable) {
+                    doorways.set(`${x},${y}`, {x, y});
+                }
+            }
+        }
+    }
+    return Array.from(doorways.values());
+}
+
+/** Digger and Uniform both make ROT.Map.Dungeon, which knows its doors */
+function dungeonRoomsAndDoorways(dungeon) {
+    let rooms = dungeon.getRooms().map(room => ({
+        x1: room.getLeft(), y1: room.getTop(), x2: room.getRight(), y2: room.getBottom(),
+    }));
+    // Rooms that share a doorway both report it
+    let doorways = new Map();
+    for (let room of dungeon.getRooms()) {
+        room.getDoors((x, y) => doorways.set(`${x},${y}`, {x, y}));
+    }
+    return {rooms, doorways: Array.from(doorways.values())};
+}
+
+/** Each generator fills in the tiles of tileMap, using rot.js's
+    contents where 0 is floor and 1 is wall, and returns {rooms,
+    doorways}. */
+const LEVEL_GENERATORS = {
+    digger(tileMap) {
+        const digger = new ROT.Map.Digger(tileMap.width, tileMap.height);
+        digger.create((x, y, contents) => setTile(tileMap, x, y, contents));
+        return dungeonRoomsAndDoorways(digger);
+    },
+    uniform(tileMap) {
+        const uniform = new ROT.Map.Uniform(tileMap.width, tileMap.height, {roomDugPercentage: 0.15});
+        uniform.create((x, y, contents) => setTile(tileMap, x, y, contents));
+        return dungeonRoomsAndDoorways(uniform);
+    },
+    rogue(tileMap) {
+        const rogue = new ROT.Map.Rogue(tileMap.width, tileMap.height);
+        rogue.create((x, y, contents) => setTile(tileMap, x, y, contents));
+        let rooms = rogue.rooms.flat().map(room => ({
+            x1: room.x, y1: room.y, x2: room.x + room.width - 1, y2: room.y + room.height - 1,
+        }));
+        return {rooms, doorways: findDoorways(tileMap, rooms)};
+    },
+    cellular(tileMap) {
+        const {width, height} = tileMap;
+        const cellular = new ROT.Map.Cellular(width, height);
+        cellular.randomize(0.5);
+        for (let i = 0; i < 4; i++) cellular.create();
+        // Live cells are the cave floor, except that the edge of the
+        // map is always wall
+        cellular.connect((x, y, alive) => {
+            let edge = x === 0 || y === 0 || x === width-1 || y === height-1;
+            setTile(tileMap, x, y, alive && !edge ? 0 : 1);
+        }, 1);
+        return {rooms: floodFillRegions(tileMap), doorways: []};
+    },
+    maze(tileMap) {
+        new ROT.Map.DividedMaze(tileMap.width, tileMap.height)
+            .create((x, y, contents) => setTile(tileMap, x, y, contents));
+        return {rooms: floodFillRegions(tileMap), doorways: []};
+    },
+};
+
+/** Which generator makes each level, as a step function of the dungeon
+    level like the spawn chances in populateRoom. The first level is
+    always made by the digger. */
+const LEVEL_THEMES = [
+    [1, {digger: 100}],
+    [2, {digger: 60, uniform: 20, rogue: 20}],
+    [4, {digger: 40, uniform: 15, rogue: 15, cellular: 30}],
+    [6, {digger: 30, uniform: 15, rogue: 15, cellular: 25, maze: 15}],
+];
+
+/** Hand-made rooms stamped into the solid rock of generated levels. In
+    the templates, # is wall, . is floor, + is a door and = is a locked
+    door; doors have to be on the outside edge, and get a tunnel dug to
+    the rest of the level. Any other character is floor with something
+    from the legend on it, picked at random if there's a list. Monsters
+    start out with the vault's behavior, and `chances` is a step
+    function of the dungeon level like the chances in populateRoom. */
+const VAULTS = {
+    'treasure room': {
+        chances: [[2, 30], [6, 20]],
+        template: `
+#######
+#!.?.!#
+#.....#
+#..[..#
+###=###`,
+        legend: {
+            '!': ['healing potion', 'haste potion', 'regeneration potion'],
+            '?': ['lightning scroll', 'fireball scroll', 'confusion scroll', 'slow scroll'],
+            '[': ['sword', 'shield'],
+        },
+    },
+    'guard post': {
+        chances: [[3, 30]],
+        behavior: 'hunting', // but with no one seen yet, they stay put
+        template: `
+#####+#####
+#o.......o#
+#.........#
++....!....+
+#.........#
+#####+#####`,
+        legend: {o: 'orc', '!': 'healing potion'},
+    },
+    'troll den': {
+        chances: [[5, 20]],
+        behavior: 'sleeping',
+        template: `
+#########
+#%.....%#
+#..T.T..#
+#.......+
+#%..T..%#
+#########`,
+        legend: {T: 'troll', '%': 'bones'},
+    },
+    'arena': {
+        chances: [[8, 15]],
+        behavior: 'hunting',
+        template: `
+###########
+#T.......T#
+#..#...#..#
+#....!....#
++....T....+
+#....?....#
+#..#...#..#
+#T.......T#
+###########`,
+        legend: {T: 'troll', '!': 'healing potion', '?': ['fireball scroll', 'lightning scroll']},
+    },
+};
+
+/** rows of the template, padded to the same width, and sometimes
+    mirrored so the same vault doesn't always face the same way */
+function parseVaultTemplate(template) {
+    let rows = template.split("\n").filter(row => row.length > 0);
+    let width = Math.max(...rows.map(row => row.length));
+    rows = rows.map(row => row.padEnd(width, '#'));
+    if (ROT.RNG.getPercentage() <= 50) {
+        rows = rows.map(row => row.split('').reverse().join(''));
+    }
+    return rows;
+}
+
+/** find a spot where the vault and a border of one tile around it are
+    all solid rock, so it doesn't cut into anything already there */
+function findVaultSpot(tileMap, width, height) {
+    const ATTEMPTS = 100;
+    const isRock = (x, y) => tileMap.has(x, y) && !tileMap.get(x, y).walkable && !tileMap.get(x, y).door;
+    for (let attempt = 0; attempt < ATTEMPTS; attempt++) {
+        let left = randint(2, tileMap.width - width - 2),
+            top = randint(2, tileMap.height - height - 2);
+        let fits = true;
+        for (let y = top - 1; fits && y <= top + height; y++) {
+            for (let x = left - 1; fits && x <= left + width; x++) {
+                fits = isRock(x, y);
+            }
+        }
+        if (fits) return {left, top};
+    }
+    return null;
+}
+
+/** dig a corridor from (x, y) to the nearest walkable tile, not going
+    through doors, vaults, or along the edge of the map */
+function digTunnel(tileMap, start, isVault) {
+    const inside = (x, y) => x > 0 && y > 0 && x < tileMap.width-1 && y < tileMap.height-1
+          && !isVault.has(x, y) && !tileMap.get(x, y).door;
+    let goal = floodFill(start, inside).find(({x, y}) => tileMap.get(x, y).walkable);
+    if (!goal) { return false; }
+    new ROT.Path.AStar(goal.x, goal.y, inside, {topology: 4})
+        .compute(start.x, start.y, (x, y) => {
+            if (!tileMap.get(x, y).walkable) setTile(tileMap, x, y, 0);
+        });
+    return true;
+}
+
+/** Stamp a vault into the level, if there's room for it. The monsters
+    and items are added to `spawns` as {type, location, behavior}, to
+    be created once the level is known to be good. Returns the number
+    of locked doors. */
+function stampVault(tileMap, vault, isVault, spawns) {
+    let rows = parseVaultTemplate(vault.template);
+    let width = rows[0].length, height = rows.length;
+    let spot = findVaultSpot(tileMap, width, height);
+    if (!spot) { return 0; }
+
+    let doors = [];
+    for (let dy = 0; dy < height; dy++) {
+        for (let dx = 0; dx < width; dx++) {
+            let x = spot.left + dx, y = spot.top + dy, ch = rows[dy][dx];
+            isVault.set(x, y, true);
+            setTile(tileMap, x, y, ch === '#' ? 1 : 0);
+            if (ch === '+' || ch === '=') {
+                setDoor(tileMap.get(x, y), ch === '=' ? 'locked' : 'closed');
+                // the way out is whichever neighbor is outside the vault
+                let outward = dx === 0 ? [-1, 0] : dx === width-1 ? [+1, 0] : dy === 0 ? [0, -1] : [0, +1];
+                doors.push({x: x + outward[0], y: y + outward[1], locked: ch === '='});
+            } else if (vault.legend[ch]) {
+                let choices = [].concat(vault.legend[ch]);
+                let type = choices[randint(0, choices.length-1)];
+                spawns.push({type, location: {x, y, z: tileMap.dungeonLevel}, behavior: vault.behavior});
+            }
+        }
+    }
+    for (let door of doors) {
+        digTunnel(tileMap, door, isVault);
+    }
+    return doors.filter(door => door.locked).length;
+}
+
+/** returns the number of locked doors in the vaults */
+function stampVaults(tileMap, spawns) {
+    let numVaults = evaluateStepFunction([[2, 1], [6, 2]], tileMap.dungeonLevel);
+    let isVault = createMap();
+    let numLocked = 0;
+    for (let i = 0; i < numVaults; i++) {
+        let chances = {nothing: 40};
+        for (let [name, vault] of Object.entries(VAULTS)) {
+            chances[name] = evaluateStepFunction(vault.chances, tileMap.dungeonLevel);
+        }
+        let name = ROT.RNG.getWeightedValue(chances);
+        if (name === 'nothing') { continue; }
+        numLocked += stampVault(tileMap, VAULTS[name], isVault, spawns);
+    }
+    return numLocked;
+}
+
+function createTileMap(dungeonLevel, width=MAP_WIDTH, height=MAP_HEIGHT) {
+    const MAX_ATTEMPTS = 10;
+    let generator = ROT.RNG.getWeightedValue(evaluateStepFunction(LEVEL_THEMES, dungeonLevel));
+    let tileMap, rooms, doorways, numLocked, vaultSpawns;
+    for (let attempt = 1; ; attempt++) {
+        tileMap = createMap();
+        tileMap.dungeonLevel = dungeonLevel;
+        tileMap.width = width;
+        tileMap.height = height;
+        ({rooms, doorways} = LEVEL_GENERATORS[generator](tileMap));
+        vaultSpawns = [];
+        numLocked = placeDoors(tileMap, doorways) + stampVaults(tileMap, vaultSpawns);
+        // The player and the stairs need separate rooms
+        if (rooms.length >= 2 && isConnected(tileMap)) { break; }
+        if (attempt >= MAX_ATTEMPTS) {
+            throw `could not generate a connected ${generator} level`;
+        }
+    }
+    tileMap.generator = generator;
+    tileMap.rooms = rooms;
+    for (let {type, location, behavior} of vaultSpawns) {
+        if (MONSTER_STATS[type]) {
+            spawnMonster(type, location, behavior);
+        } else {
+            createEntity(type, location);
+        }
+    }
 
-    // Put the player in the first room
-    let [playerX, playerY] = tileMap.rooms[0].getCenter();
-    moveEntityTo(player, {x: playerX, y: playerY});
+    // Put the player in the first room, on the stairs back up
+    let {x: playerX, y: playerY} = roomCenter(tileMap.rooms[0]);
+    moveEntityTo(player, {x: playerX, y: playerY, z: dungeonLevel});
+    if (dungeonLevel > 1) {
+        createEntity('upstairs', {x: playerX, y: playerY, z: dungeonLevel});
+    }
 
     // Put stairs in the last room
-    let [stairX, stairY] = tileMap.rooms[tileMap.rooms.length-1].getCenter();
-    createEntity('stairs', {x: stairX, y: stairY});
+    let {x: stairX, y: stairY} = roomCenter(tileMap.rooms[tileMap.rooms.length-1]);
+    createEntity('stairs', {x: stairX, y: stairY, z: dungeonLevel});
 
     // Put monster and items in all the rooms
     for (let room of tileMap.rooms) {
         populateRoom(room, dungeonLevel);
     }
+    placeKeys(tileMap, {x: playerX, y: playerY}, numLocked);
+    placeTraps(tileMap);
+    placeTorches(tileMap);
 
     updateTileMapFov(tileMap);
     return tileMap;
 }
 
+/** all the levels visited so far, keyed by dungeonLevel; tileMap is
+    the one the player is on */
+let tileMaps = new Map();
 let tileMap = createTileMap(1);
+tileMaps.set(tileMap.dungeonLevel, tileMap);
+
+/** Turn order for everything that acts on the player's level. The
+    player is not in the queue during their own turn; enemiesMove()
+    puts them back in before letting everyone else act. */
+let scheduler = new ROT.Scheduler.Speed();
+function scheduleActors(dungeonLevel) {
+    scheduler.clear();
+    for (let entity of entities.values()) {
+        if (!entity.dead && entity.ai && entity.location.z === dungeonLevel) {
+            scheduler.add(entity, false);
+        }
+    }
+}
+scheduleActors(tileMap.dungeonLevel);
 
 
 
-function computeLightMap(center, tileMap) {
-    let lightMap = createMap(); // 0.0–1.0
-    tileMap.fov.compute(center.x, center.y, 10, (x, y, r, visibility) => {
-        lightMap.set(x, y, visibility);
-        if (visibility > 0.0) {
-            if (tileMap.has(x, y))
-                tileMap.get(x, y).explored = true;
+/** like computeLightMap, but doesn't mark anything as explored */
+function computeFieldOfView(center, tileMap, radius) {
+    let visibility = createMap();
+    tileMap.fov.compute(center.x, center.y, radius, (x, y, r, v) => visibility.set(x, y, v));
+    return visibility;
+}
+
+/** Add up the light from every light source on the level. Each one
+    shines in its own field of view, fading out with distance. A source
+    mounted in a wall (torches) shines out through its open neighbors.
+    Returns a map of {color: [r, g, b], brightness: 0.0–1.0}. */
+function computeLighting(tileMap) {
+    let lighting = createMap();
+    for (let entity of entities.values()) {
+        if (!entity.light || entity.location.z !== tileMap.dungeonLevel) { continue; }
+        let [radius, color] = entity.light;
+        let source = entity.location;
+        let origins = [source];
+        if (tileMap.get(source.x, source.y).wall) {
+            origins = ROT.DIRS[4]
+                .map(([dx, dy]) => ({x: source.x + dx, y: source.y + dy}))
+                .filter(({x, y}) => tileMap.has(x, y) && !tileMap.get(x, y).wall);
         }
+        let intensities = createMap();
+        intensities.set(source.x, source.y, 1.0);
+        for (let origin of origins) {
+            tileMap.fov.compute(origin.x, origin.y, radius, (x, y, r, visibility) => {
+                // Light falls off with straight-line distance, so that it looks round
+                let intensity = visibility * (1 - Math.hypot(x - source.x, y - source.y) / (radius + 1));
+                intensities.set(x, y, Math.max(intensity, intensities.get(x, y) || 0.0));
+            });
+        }
+        for (let [key, intensity] of Object.entries(intensities._values)) {
+            if (intensity <= 0.0) { continue; }
+            let total = lighting._values[key] || [0, 0, 0];
+            lighting._values[key] = ROT.Color.add(total, color.map(c => c * intensity));
+        }
+    }
+    for (let [key, total] of Object.entries(lighting._values)) {
+        let brightness = Math.min(1.0, Math.max(...total) / 255);
+        lighting._values[key] = {color: total.map(c => Math.min(255, Math.round(c))), brightness};
+    }
+    return lighting;
+}
+
+/* Lighting takes a field of view for every light source, so it's
+   worked out once per turn, in enemiesMove() and draw(), and shared by
+   everything that needs it until the next one. */
+let turnLighting = {tileMap: null, lighting: null};
+
+function updateLighting(level=tileMap) {
+    turnLighting = {tileMap: level, lighting: computeLighting(level)};
+    return turnLighting.lighting;
+}
+
+/** this turn's lighting on a level, the current one by default */
+function currentLighting(level=tileMap) {
+    return turnLighting.tileMap === level ? turnLighting.lighting : updateLighting(level);
+}
+
+/** How well each tile can be seen from center, 0.0–1.0: it has to be
+    in the field of view, and lit by something. */
+function computeLightMap(center, tileMap, radius=10, lighting=currentLighting(tileMap)) {
+    let lightMap = createMap(); // 0.0–1.0
+    tileMap.fov.compute(center.x, center.y, radius, (x, y, r, visibility) => {
+        let light = lighting.get(x, y);
+        lightMap.set(x, y, light ? visibility * light.brightness : 0.0);
     });
     return lightMap;
 }
 
-/** compute a per-tile map of entity visuals */
-function computeGlyphMap(entities) {
+/** The light map from where the player is standing. Unlike other
+    entities' views, this one also marks the tiles explored, and
+    remembers what's on them. */
+function computePlayerLightMap(lighting=currentLighting()) {
+    let lightMap = computeLightMap(player.location, tileMap, player.sight_radius, lighting);
+    let seenTiles = [];
+    for (let [key, seen] of Object.entries(lightMap._values)) {
+        let [x, y] = key.split(',').map(Number);
+        if (seen > 0.0 && tileMap.has(x, y)) {
+            tileMap.get(x, y).explored = true;
+            seenTiles.push({x, y});
+        }
+    }
+    rememberEntities(tileMap, seenTiles);
+    return lightMap;
+}
+
+/** Each tile's `memory` is what was on it the last time it was seen,
+    [{type, name}] with the top one first, so that it can be drawn when
+    it's out of sight. It's stored in the tile map so that it gets saved
+    with the game. Monsters in memory are only where they were last
+    seen, and may be long gone. */
+function rememberEntities(tileMap, locations) {
+    let here = createMap();
+    Array.from(entities.values())
+        .filter(e => e.location.z === tileMap.dungeonLevel && e.id !== player.id && !isHiddenTrap(e))
+        .sort((a, b) => b.render_order - a.render_order)
+        .forEach(e => {
+            let list = here.get(e.location.x, e.location.y) || [];
+            list.push({type: e.type, name: e.name});
+            here.set(e.location.x, e.location.y, list);
+        });
+    for (let {x, y} of locations) {
+        let tile = tileMap.get(x, y);
+        if (here.has(x, y)) {
+            tile.memory = here.get(x, y);
+        } else {
+            delete tile.memory;
+        }
+    }
+}
+
+/** is this remembered thing a monster, which may have moved since? */
+function isRememberedMonster({type}) {
+    return ENTITY_PROPERTIES[type].faction !== undefined;
+}
+
+/** can this entity see that location, from its own field of view?
+    Monsters can see in the dark, but the player needs light. */
+function canSee(entity, location, radius=entity.sight_radius, lighting=currentLighting()) {
+    if (distance(entity.location, location) > radius) { return false; }
+    if (entity.id === player.id) {
+        let light = lighting.get(location.x, location.y);
+        if (!light) { return false; }
+    }
+    let visible = false;
+    tileMap.fov.compute(entity.location.x, entity.location.y, radius, (x, y, r, visibility) => {
+        if (x === location.x && y === location.y && visibility > 0.0) { visible = true; }
+    });
+    return visible;
+}
+
+/** compute a per-tile map of entity visuals on level z */
+function computeGlyphMap(entities, z) {
     let glyphMap = createMap();
     entities = Array.from(entities.values());
     entities.sort((a, b) => a.render_order - b.render_order);
     entities
-        .filter(e => e.location.x !== undefined)
+        .filter(e => e.location.z === z && !isHiddenTrap(e))
         .forEach(e => glyphMap.set(e.location.x, e.location.y, e.visuals));
     return glyphMap;
 }
 
+const targetingColors = {
+    area: "hsl(30, 70%, 35%)",
+    affected: "hsl(0, 80%, 45%)",
+    cursor: "hsl(60, 100%, 60%)",
+};
+/** remembered tiles use the [false] colors; tiles in view blend from
+    those to the [true] colors as the light gets brighter, tinted by the
+    color of the light */
 const mapColors = {
     [false]: {[false]: "rgb(50, 50, 150)", [true]: "rgb(0, 0, 100)"},
     [true]: {[false]: "rgb(200, 180, 50)", [true]: "rgb(130, 110, 50)"}
 };
+
+/** ROT.Color only reads #hex and rgb(), but the visuals use hsl() and
+    a few color names too */
+const NAMED_COLORS = {black: [0, 0, 0], violet: [238, 130, 238], darkred: [139, 0, 0]};
+function parseColor(str) {
+    let hsl = str.match(/hsl\(([\d.]+),\s*([\d.]+)%,\s*([\d.]+)%\)/);
+    if (hsl) return ROT.Color.hsl2rgb([hsl[1] / 360, hsl[2] / 100, hsl[3] / 100]);
+    return NAMED_COLORS[str] || ROT.Color.fromString(str);
+}
+
+function shadeTile(tile, light) {
+    let dark = ROT.Color.fromString(mapColors[false][tile.wall]),
+        bright = ROT.Color.fromString(mapColors[true][tile.wall]);
+    // Only the hue of the light tints the tile; brightness does the fading
+    let strongest = Math.max(1, ...light.color);
+    let tint = light.color.map(c => c * 255 / strongest);
+    return ROT.Color.toRGB(ROT.Color.interpolate(dark, ROT.Color.multiply(bright, tint), light.brightness));
+}
+
+function shadeGlyph(color, light) {
+    const DARKEST = 0.35;
+    return ROT.Color.toRGB(ROT.Color.multiply(parseColor(color),
+                                              Array(3).fill(255 * (DARKEST + (1 - DARKEST) * light.brightness))));
+}
 function draw() {
     display.clear();
 
     document.querySelector("#health-bar").style.width = `${Math.ceil(100*player.hp/player.effective_max_hp)}%`;
     document.querySelector("#health-text").textContent = ` HP: ${player.hp} / ${player.effective_max_hp}`;
 
-    let lightMap = computeLightMap(player.location, tileMap);
-    let glyphMap = computeGlyphMap(entities);
+    let lighting = updateLighting();
+    let lightMap = computePlayerLightMap(lighting);
+    let glyphMap = computeGlyphMap(entities, tileMap.dungeonLevel);
+    let preview = targetingOverlay.visible ? targetingOverlay.preview() : null;
+    let lookCursor = lookMode.visible ? lookMode.cursor : null;
 
-    for (let y = 0; y < HEIGHT; y++) {
-        for (let x = 0; x < WIDTH; x++) {
+    camera.follow(lookCursor || player.location, tileMap);
+    for (let sy = 0; sy < HEIGHT; sy++) {
+        for (let sx = 0; sx < WIDTH; sx++) {
+            let [x, y] = camera.toMap(sx, sy);
             let tile = tileMap.get(x, y);
             if (!tile || (!DEBUG_ALL_EXPLORED && !tile.explored)) { continue; }
             let lit = DEBUG_ALL_EXPLORED || lightMap.get(x, y) > 0.0;
+            let light = lit && (lighting.get(x, y) || {color: [255, 255, 255], brightness: 1.0});
             let ch = ' ',
                 fg = "black",
-                bg = mapColors[lit][tile.wall];
-            let glyph = glyphMap.get(x, y);
+                bg = lit ? shadeTile(tile, light) : mapColors[false][tile.wall];
+            if (tile.door) {
+                [ch, fg] = DOOR_VISUALS[tile.door];
+            }
+            // Out of sight, draw what was there when last seen, dimmed
+            let glyph = lit ? glyphMap.get(x, y)
+                : tile.memory && ENTITY_PROPERTIES[tile.memory[0].type].visuals;
             if (glyph) {
-                ch = lit || glyph[3] ? glyph[0] : ch;
+                ch = glyph[0];
                 fg = glyph[1];
                 bg = glyph[2] || bg;
             }
-            // NOTE: to center the screen on the player:
-            // display.draw(x - player.location.x + (WIDTH>>1), y - player.location.y + (HEIGHT>>1), ch, fg, bg);
-            display.draw(x, y, ch, fg, bg);
+            if (fg !== "black") {
+                fg = shadeGlyph(fg, lit ? light : {brightness: 0.0});
+            }
+            if (preview) {
+                if (preview.area.has(x, y)) bg = targetingColors.area;
+                if (preview.affected.has(x, y)) bg = targetingColors.affected;
+                if (preview.cursor.x === x && preview.cursor.y === y) bg = targetingColors.cursor;
+            }
+            if (lookCursor && lookCursor.x === x && lookCursor.y === y) {
+                bg = targetingColors.cursor;
+            }
+            display.draw(sx, sy, ch, fg, bg);
         }
     }
 
@@ -412,51 +1214,124 @@ function draw() {
 
 function updateInstructions() {
     const instructions = document.getElementById('game-instructions');
-    let standingOn = allEntitiesAt(player.location.x, player.location.y);
-    
-    let html = ``;
-    if (currentKeyHandler() === handlePlayerKeys) {
-        html = `Arrows move, <kbd>S</kbd>ave`;
-        let hasSavedGame = window.localStorage.getItem(STORAGE_KEY) !== null;
-        let hasItems = player.inventory.filter(id => id !== null).length > 0;
-        let onItem = standingOn.filter(e => e.item).length > 0;
-        let onStairs = standingOn.filter(e => e.stairs).length > 0;
-        if (hasSavedGame) html += `/<kbd>R</kbd>estore`;
-        html += ` game`;
-        if (hasItems) html += `, <kbd>U</kbd>se, <kbd>D</kbd>rop`;
-        if (onItem) html += `, <kbd>G</kbd>et item`;
-        if (onStairs) html += `, <kbd>&gt;</kbd> stairs`;
+    let state = actionState();
+    let html = [];
+    for (let [name, action] of Object.entries(ACTIONS)) {
+        if (!action.label || !action.modes.includes(state.mode)) continue;
+        let bound = actionKeys(name);
+        let keys = Object.keys(bound)
+            .filter(key => action.canPerform(state, ...bound[key]));
+        if (keys.length > 0) html.push(instructionHTML(action, keys));
+    }
+    instructions.innerHTML = html.join(", ");
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// timed events
+
+/* The turn counter follows the scheduler's clock, going up by one for
+   each TURN_TIME that passes, so a hasted player doesn't make corpses
+   rot any faster. Events are saved with the game, so they're plain
+   data {turn, name, args}, and the name picks the handler that runs
+   when that turn comes. */
+const TURN_TIME = 1 / 100; // how long an action takes at normal speed
+let turn = 0;
+let turnStartTime = 0; // the scheduler's time when turn was 0
+let timedEvents = [];
+const TIMED_EVENT_HANDLERS = {
+    'corpse-rot'(id) {
+        let entity = entities.get(id);
+        if (!entity || entity.type !== 'corpse') { return; }
+        entity.type = 'bones';
+        entity.name = entity.name.replace(/corpse$/, 'bones');
+    },
+    'remove-entity'(id) {
+        entities.delete(id);
+    },
+};
+
+function scheduleEvent(delay, name, ...args) {
+    timedEvents.push({turn: turn + delay, name, args});
+}
+
+/** catch the turn counter up with the scheduler's clock, running
+    whatever happens once a turn along the way */
+function advanceTurns() {
+    // The clock adds up fractions, so allow for rounding errors
+    let now = Math.floor((scheduler.getTime() - turnStartTime) / TURN_TIME + 1e-6);
+    while (turn < now) {
+        turn++;
+        runTimedEvents();
+        if (turn % NATURAL_REGENERATION_TURNS === 0 && !player.dead) {
+            player.hp = Math.min(player.hp + 1, player.effective_max_hp);
+        }
+    }
+}
+
+function runTimedEvents() {
+    let due = timedEvents.filter(event => event.turn <= turn);
+    timedEvents = timedEvents.filter(event => event.turn > turn);
+    due.sort((a, b) => a.turn - b.turn);
+    for (let {name, args} of due) {
+        TIMED_EVENT_HANDLERS[name](...args);
     }
-    instructions.innerHTML = html;
 }
 
 
 //////////////////////////////////////////////////////////////////////
 // saving and loading
 
+/** Saved games from other versions of the game can't be restored.
+    Change this whenever the saved state changes shape. */
+const SAVE_VERSION = 2;
+
 function serializeGlobalState() {
     const saved = {
+        version: SAVE_VERSION,
         entities: Array.from(entities),
         playerId: player.id,
-        tileMap: tileMap,
+        tileMaps: Array.from(tileMaps.values()),
         messages: messages,
         nextEntityId: createEntity.id,
+        schedule: Array.from(entities.values())
+            .filter(e => scheduler.getTimeOf(e) !== undefined)
+            .map(e => [e.id, scheduler.getTimeOf(e)])
+            .sort((a, b) => a[1] - b[1]),
+        turn: turn,
+        timedEvents: timedEvents,
         rngState: ROT.RNG.getState(),
     };
     return JSON.stringify(saved);
 }
 
+/** returns false, leaving the game as it was, if the save is from
+    another version of the game */
 function deserializeGlobalState(json) {
     const reattachEntityPrototype = entry =>
           [entry[0], Object.assign(Object.create(entity_prototype), entry[1])];
     const saved = JSON.parse(json);
+    if (saved.version !== SAVE_VERSION) return false;
     entities = new Map(saved.entities.map(reattachEntityPrototype));
     createEntity.id = saved.nextEntityId;
     player = entities.get(saved.playerId);
-    Object.assign(tileMap, saved.tileMap);
-    updateTileMapFov(tileMap);
+    tileMaps = new Map();
+    for (let savedTileMap of saved.tileMaps) {
+        let level = Object.assign(createMap(), savedTileMap);
+        updateTileMapFov(level);
+        tileMaps.set(level.dungeonLevel, level);
+    }
+    tileMap = tileMaps.get(player.location.z);
+    scheduler.clear();
+    for (let [id, time] of saved.schedule) {
+        scheduler.add(entities.get(id), false, time);
+    }
+    turn = saved.turn;
+    turnStartTime = scheduler.getTime() - turn * TURN_TIME;
+    timedEvents = saved.timedEvents;
     messages = saved.messages;
     ROT.RNG.setState(saved.rngState);
+    return true;
 }
 
 
@@ -472,14 +1347,26 @@ function useItem(entity, item) {
           } else {
               print(`Your wounds start to feel better!`, 'healing');
               entity.hp = ROT.Util.clamp(entity.hp + healing, 0, entity.effective_max_hp);
-              moveEntityTo(item, NOWHERE);
+              consumeItem(item);
               enemiesMove();
           }
           break;
       }
+      case 'haste potion': {
+          applyStatus(entity, 'hasted', 20);
+          consumeItem(item);
+          enemiesMove();
+          break;
+      }
+      case 'regeneration potion': {
+          applyStatus(entity, 'regenerating', 20, {potency: 2});
+          consumeItem(item);
+          enemiesMove();
+          break;
+      }
       case 'lightning scroll': {
           if (castLighting(entity)) {
-              moveEntityTo(item, NOWHERE);
+              consumeItem(item);
               enemiesMove();
               draw();
           }
@@ -487,23 +1374,37 @@ function useItem(entity, item) {
       }
       case 'fireball scroll': {
           targetingOverlay.open(
-              `Click a location to cast fireball, or <kbd>ESC</kbd> to cancel`,
+              `Choose a location to cast fireball`,
               (x, y) => {
-                  if (castFireball(entity, x, y)) {
-                      moveEntityTo(item, NOWHERE);
+                  if (castFireball(entity, x, y, item.blast_radius)) {
+                      consumeItem(item);
                       enemiesMove();
                   }
                   targetingOverlay.close();
                   draw();
-              });
+              },
+              item.blast_radius);
           break;
       }
       case 'confusion scroll': {
           targetingOverlay.open(
-              `Click on an enemy to confuse it, or <kbd>ESC</kbd> to cancel`,
+              `Choose an enemy to confuse`,
+              (x, y) => {
+                  if (castStatus(entity, x, y, 'confused', 10)) {
+                      consumeItem(item);
+                      enemiesMove();
+                  }
+                  targetingOverlay.close();
+                  draw();
+              });
+          break;
+      }
+      case 'slow scroll': {
+          targetingOverlay.open(
+              `Choose an enemy to slow down`,
               (x, y) => {
-                  if (castConfusion(entity, x, y)) {
-                      moveEntityTo(item, NOWHERE);
+                  if (castStatus(entity, x, y, 'slowed', 20)) {
+                      consumeItem(item);
                       enemiesMove();
                   }
                   targetingOverlay.close();
@@ -511,6 +1412,10 @@ function useItem(entity, item) {
               });
           break;
       }
+      case 'key': {
+          print(`Walk into a locked door to unlock it.`, 'warning');
+          break;
+      }
       default: {
           if (item.equipment_slot !== undefined) {
               let oldItem = entities.get(player.equipment[item.equipment_slot]);
@@ -524,9 +1429,23 @@ function useItem(entity, item) {
     }
 }
 
+/** use up one item from a stack */
+function consumeItem(item) {
+    if (item.count > 1) {
+        item.count--;
+    } else {
+        moveEntityTo(item, NOWHERE);
+    }
+}
+
+/** name including the stack size */
+function itemDisplayName(item) {
+    return item.count > 1 ? `${item.name} (×${item.count})` : item.name;
+}
+
 function dropItem(entity, item) {
     moveEntityTo(item, player.location);
-    print(`You dropped ${item.name} on the ground`, 'warning');
+    print(`You dropped ${itemDisplayName(item)} on the ground`, 'warning');
     enemiesMove();
 }
 
@@ -557,65 +1476,100 @@ function gainXp(entity, amount) {
 function takeDamage(source, target, amount) {
     target.hp -= amount;
     if (target.hp <= 0) {
-        print(`${target.name} dies!`, target.id === player.id? 'player-die' : 'enemy-die');
+        if (target.id === player.id || canSee(player, target.location)) {
+            print(`${target.name} dies!`, target.faction === 'player'? 'player-die' : 'enemy-die');
+        }
         if (target.xp_award !== undefined) { gainXp(source, target.xp_award); }
+        dropLoot(target);
         target.dead = true;
         target.type = 'corpse';
         target.name = `${target.name}'s corpse`;
         delete target.ai;
+        delete target.status_effects;
+        if (target.id !== player.id) {
+            scheduleEvent(50, 'corpse-rot', target.id);
+            scheduleEvent(200, 'remove-entity', target.id);
+        }
     }
 }
 
 function attack(attacker, defender) {
+    const NOISE_RADIUS = 8;
     let damage = attacker.effective_power - defender.effective_defense;
-    let color = attacker.id === player.id? 'player-attack' : 'enemy-attack';
+    let color = attacker.faction === 'player'? 'player-attack' : 'enemy-attack';
+    // Monsters fighting each other out of sight don't fill up the log
+    let reported = attacker.faction === 'player' || defender.faction === 'player'
+        || canSee(player, defender.location);
+    makeNoise(defender.location, NOISE_RADIUS);
     if (damage > 0) {
-        print(`${attacker.name} attacks ${defender.name} for ${damage} hit points.`, color);
+        if (reported) print(`${attacker.name} attacks ${defender.name} for ${damage} hit points.`, color);
         takeDamage(attacker, defender, damage);
     } else {
-        print(`${attacker.name} attacks ${defender.name} but does no damage.`, color);
+        if (reported) print(`${attacker.name} attacks ${defender.name} but does no damage.`, color);
+    }
+}
+
+/** tiles reached by an effect centered at (x,y): within the radius,
+    in view of the center, and in view of the caster */
+function computeBlastArea(caster, x, y, radius) {
+    let area = createMap();
+    let visibleToCaster = computeLightMap(caster.location, tileMap, caster.sight_radius);
+    if (!(visibleToCaster.get(x, y) > 0)) { return area; }
+    let visibleFromCenter = computeFieldOfView({x, y}, tileMap, radius);
+    for (let ty = y - radius; ty <= y + radius; ty++) {
+        for (let tx = x - radius; tx <= x + radius; tx++) {
+            if (visibleFromCenter.get(tx, ty) > 0
+                && visibleToCaster.get(tx, ty) > 0
+                && distance({x: tx, y: ty}, {x, y}) <= radius) {
+                area.set(tx, ty, true);
+            }
+        }
     }
+    return area;
+}
+
+/** living entities on the caster's level inside an area from computeBlastArea */
+function entitiesInArea(caster, area) {
+    return Array.from(entities.values())
+        .filter(e => e.location.z === caster.location.z)
+        .filter(e => e.hp !== undefined && !e.dead)
+        .filter(e => area.has(e.location.x, e.location.y));
 }
 
 /** return true if the item was used */
-function castFireball(caster, x, y) {
-    const maximum_range = 3;
+function castFireball(caster, x, y, maximum_range) {
     const damage = 25;
-    let visibleToCaster = computeLightMap(caster.location, tileMap);
+    let visibleToCaster = computeLightMap(caster.location, tileMap, caster.sight_radius);
     if (!(visibleToCaster.get(x, y) > 0)) {
         print(`You cannot target a tile outside your field of view.`, 'warning');
         return false;
     }
 
-    let visibleFromFireball = computeLightMap({x, y}, tileMap);
-    let attackables = Array.from(entities.values())
-        .filter(e => e.location.x !== undefined) // on the map
-        .filter(e => e.hp !== undefined && !e.dead)
-        .filter(e => visibleFromFireball.get(e.location.x, e.location.y) > 0)
-        .filter(e => visibleToCaster.get(e.location.x, e.location.y) > 0)
-        .filter(e => distance(e.location, {x, y}) <= maximum_range);
+    let attackables = entitiesInArea(caster, computeBlastArea(caster, x, y, maximum_range));
 
     print(`The fireball explodes, burning everything within ${maximum_range} tiles!`, 'player-attack');
     for (let target of attackables) {
         print(`The ${target.name} gets burned for ${damage} hit points.`, 'player-attack');
         takeDamage(caster, target, damage);
     }
+    // The fire lights up the area for a little while
+    const BURN_TURNS = 8;
+    let flames = createEntity('flames', {x, y, z: caster.location.z});
+    scheduleEvent(BURN_TURNS, 'remove-entity', flames.id);
     return true;
 }
 
 /** return true if the item was used */
-function castConfusion(caster, x, y) {
-    let visibleToCaster = computeLightMap(caster.location, tileMap);
+function castStatus(caster, x, y, status, turns) {
+    let visibleToCaster = computeLightMap(caster.location, tileMap, caster.sight_radius);
     if (!(visibleToCaster.get(x, y) > 0)) {
         print(`You cannot target a tile outside your field of view.`, 'warning');
         return false;
     }
 
-    let visibleFromFireball = computeLightMap({x, y}, tileMap);
     let target = blockingEntityAt(x, y);
     if (target && target.hp !== undefined && !target.dead && target.ai) {
-        target.ai = {behavior: 'confused', turns: 10};
-        print(`The eyes of the ${target.name} look vacant, as it starts to stumble around!`, 'enemy-die');
+        applyStatus(target, status, turns, {source: caster});
         return true;
     }
     print(`There is no targetable enemy at that location.`, 'warning');
@@ -626,10 +1580,11 @@ function castConfusion(caster, x, y) {
 function castLighting(caster) {
     const maximum_range = 5;
     const damage = 40;
-    let visibleToCaster = computeLightMap(caster.location, tileMap);
+    let visibleToCaster = computeLightMap(caster.location, tileMap, caster.sight_radius);
     let attackables = Array.from(entities.values())
-        .filter(e => e.id !== caster.id)
+        .filter(e => isHostile(caster, e))
         .filter(e => e.location.x !== undefined) // on the map
+        .filter(e => e.location.z === caster.location.z)
         .filter(e => e.hp !== undefined && !e.dead)
         .filter(e => visibleToCaster.get(e.location.x, e.location.y) > 0)
         .filter(e => distance(e.location, caster.location) <= maximum_range);
@@ -646,124 +1601,879 @@ function castLighting(caster) {
 
 
 //////////////////////////////////////////////////////////////////////
-// player actions
+// status effects
+
+/** Status effects are stored on the entity as status_effects: Array<{type, turns, potency, source}>.
+    stacking: what happens when the effect is applied again:
+       'refresh' - keep the longer of the two durations
+       'extend' - add the durations
+       'intensify' - add the potencies, keep the longer duration
+    messages: [for the player, for other entities]
+    tick: called at the end of each of the entity's turns
+*/
+const STATUS_EFFECTS = {
+    confused: {
+        label: "Confused", stacking: 'refresh',
+        apply: [`You feel dizzy!`, `The eyes of the {name} look vacant, as it starts to stumble around!`],
+        expire: [`You are no longer confused.`, `The {name} is no longer confused!`],
+    },
+    poisoned: {
+        label: "Poisoned", stacking: 'intensify',
+        apply: [`You feel sick!`, `The {name} looks sick!`],
+        expire: [`You feel better.`, `The {name} looks better.`],
+        tick(entity, effect) {
+            if (entity.id === player.id) print(`The poison burns for ${effect.potency} hit points.`, 'enemy-attack');
+            takeDamage(entities.get(effect.source) || entity, entity, effect.potency);
+        },
+    },
+    regenerating: {
+        label: "Regenerating", stacking: 'extend',
+        apply: [`Your wounds start to close by themselves.`, `The {name}'s wounds start to close.`],
+        expire: [`Your regeneration fades.`, `The {name} stops regenerating.`],
+        tick(entity, effect) {
+            entity.hp = ROT.Util.clamp(entity.hp + effect.potency, 0, entity.effective_max_hp);
+        },
+    },
+    hasted: {
+        label: "Hasted", stacking: 'extend',
+        apply: [`You feel yourself speed up!`, `The {name} speeds up!`],
+        expire: [`You feel yourself slow down.`, `The {name} slows down.`],
+    },
+    slowed: {
+        label: "Slowed", stacking: 'refresh',
+        apply: [`You feel sluggish!`, `The {name} starts to move sluggishly!`],
+        expire: [`You no longer feel sluggish.`, `The {name} speeds back up.`],
+    },
+    blind: {
+        label: "Blind", stacking: 'refresh',
+        apply: [`You can't see!`, `The {name} is blinded!`],
+        expire: [`You can see again.`, `The {name} can see again.`],
+    },
+};
 
-function playerPickupItem() {
-    let item = itemEntityAt(player.location.x, player.location.y);
-    if (!item) {
-        print(`There is nothing here to pick up.`, 'warning');
-        return;
+function hasStatus(entity, type) {
+    return (entity.status_effects || []).some(effect => effect.type === type);
+}
+
+function printStatusMessage(entity, messages, className) {
+    if (entity.id === player.id) {
+        print(messages[0], className);
+    } else if (canSee(player, entity.location)) {
+        print(messages[1].replace('{name}', entity.name), className);
     }
+}
 
-    let slot = player.inventory.indexOf(null); // first open inventory slot
-    if (slot < 0) {
-        print(`You cannot carry any more. Your inventory is full.`, 'warning');
+function applyStatus(entity, type, turns, {potency=1, source=null}={}) {
+    const rules = STATUS_EFFECTS[type];
+    if (!entity.status_effects) entity.status_effects = [];
+    let effect = entity.status_effects.find(effect => effect.type === type);
+    if (!effect) {
+        effect = {type, turns, potency, source: source && source.id};
+        entity.status_effects.push(effect);
+        printStatusMessage(entity, rules.apply, 'warning');
         return;
     }
-
-    print(`You pick up the ${item.name}!`, 'pick-up');
-    moveEntityTo(item, {carried_by: player.id, slot});
-    enemiesMove();
+    switch (rules.stacking) {
+      case 'refresh':   effect.turns = Math.max(effect.turns, turns); break;
+      case 'extend':    effect.turns += turns; break;
+      case 'intensify': effect.turns = Math.max(effect.turns, turns); effect.potency += potency; break;
+      default:          throw `invalid stacking rule ${rules.stacking}`;
+    }
 }
 
-function playerMoveBy(dx, dy) {
-    let x = player.location.x + dx,
-        y = player.location.y + dy;
-    if (tileMap.get(x, y).walkable) {
-        let target = blockingEntityAt(x, y);
-        if (target && target.id !== player.id) {
-            attack(player, target);
-        } else {
-            moveEntityTo(player, {x, y});
+/** tick and count down status effects at the end of the entity's own turn */
+function endTurn(entity) {
+    for (let effect of Array.from(entity.status_effects || [])) {
+        const rules = STATUS_EFFECTS[effect.type];
+        if (rules.tick) rules.tick(entity, effect);
+        if (entity.dead) return;
+        if (--effect.turns <= 0) {
+            entity.status_effects = entity.status_effects.filter(e => e !== effect);
+            printStatusMessage(entity, rules.expire, 'info');
         }
-        enemiesMove();
     }
 }
 
-function playerGoDownStairs() {
-    if (!allEntitiesAt(player.location.x, player.location.y).some(e => e.stairs)) {
-        print(`There are no stairs here.`, 'warning');
-        return;
-    }
 
-    // Remove anything that's on the map
-    for (let entity of entities.values()) {
-        if (entity.id === player.id) { continue; } // player goes on
-        if (entity.location.x === undefined) { continue; } // inventory goes on
-        entities.delete(entity.id);
-    }
+//////////////////////////////////////////////////////////////////////
+// traps
 
-    // Make a new map
-    tileMap = createTileMap(tileMap.dungeonLevel + 1);
+/** hidden traps aren't drawn or described until they're found */
+function isHiddenTrap(entity) {
+    return entity.trap !== undefined && !entity.revealed;
+}
+
+function trapAt(x, y, z=tileMap.dungeonLevel) {
+    return allEntitiesAt(x, y, z).find(e => e.trap !== undefined) || null;
+}
+
+/** where the player arrives on a level by the stairs down, the middle
+    of its first room; see createTileMap() */
+function levelStart(level) {
+    let {x, y} = roomCenter(level.rooms[0]);
+    return {x, y, z: level.dungeonLevel};
+}
+
+/** a random empty floor tile in one of the rooms of a level, the current
+    one by default; empty means no blocking entity, trap or stairs. Only
+    rooms that can be reached from the start without a key count, as
+    that's where the keys are; see placeKeys(). Null if there is none. */
+function randomFloorLocation(level=tileMap) {
+    let z = level.dungeonLevel;
+    let candidates = floodFillUnlocked(level, levelStart(level))
+        .filter(({x, y}) => level.get(x, y).walkable
+                && level.rooms.some(room => isInsideRoom(room, x, y)));
+    let location = ROT.RNG.shuffle(candidates).find(({x, y}) =>
+        !blockingEntityAt(x, y, z) && !trapAt(x, y, z)
+        && !allEntitiesAt(x, y, z).some(e => e.stairs));
+    return location ? {x: location.x, y: location.y, z} : null;
+}
+
+/** Each effect gets the entity that stepped on the trap. Messages use
+    printStatusMessage's [player, other] pairs. */
+const TRAP_EFFECTS = {
+    dart(entity, trap) {
+        const damage = 4;
+        printStatusMessage(entity, [`A dart shoots out and hits you for ${damage} hit points!`,
+                                    `A dart shoots out and hits the {name}!`], 'enemy-attack');
+        takeDamage(trap, entity, damage);
+        if (!entity.dead) applyStatus(entity, 'poisoned', 5, {potency: 1, source: trap});
+    },
+    teleport(entity, trap) {
+        let destination = randomFloorLocation();
+        if (!destination) { return; }
+        printStatusMessage(entity, [`The floor flashes, and you are somewhere else!`,
+                                    `The {name} vanishes in a flash!`], 'warning');
+        moveEntityTo(entity, destination);
+    },
+    pit(entity, trap) {
+        const damage = 5;
+        let dungeonLevel = tileMap.dungeonLevel + 1;
+        if (entity.id === player.id) {
+            enterLevel(dungeonLevel);
+            moveEntityTo(player, randomFloorLocation() || levelStart(tileMap));
+            scheduleActors(dungeonLevel);
+            print(`The floor gives way, and you fall down to dungeon level ${dungeonLevel}!`, 'warning');
+            takeDamage(trap, player, damage);
+        } else {
+            if (canSee(player, entity.location)) print(`The ${entity.name} falls through the floor!`, 'info');
+            if (tileMaps.has(dungeonLevel)) {
+                let level = tileMaps.get(dungeonLevel);
+                moveEntityTo(entity, randomFloorLocation(level) || levelStart(level));
+            } else {
+                // Nowhere to land yet, so it waits until the level is made
+                moveEntityTo(entity, NOWHERE);
+                entity.falling_to = dungeonLevel;
+            }
+        }
+    },
+    alarm(entity, trap) {
+        const ALARM_RADIUS = 30;
+        printStatusMessage(entity, [`You trip over a wire, and an alarm bell rings!`,
+                                    `The {name} trips an alarm bell!`], 'warning');
+        makeNoise(trap.location, ALARM_RADIUS);
+    },
+    gas(entity, trap) {
+        const GAS_RADIUS = 2;
+        printStatusMessage(entity, [`A cloud of gas puffs out of the floor!`,
+                                    `A cloud of gas puffs out around the {name}!`], 'warning');
+        let area = computeFieldOfView(trap.location, tileMap, GAS_RADIUS);
+        for (let target of entitiesInArea(trap, area)) {
+            applyStatus(target, 'confused', 5, {source: trap});
+        }
+    },
+    flash(entity, trap) {
+        printStatusMessage(entity, [`A blinding light flashes up from the floor!`,
+                                    `A blinding light flashes up in front of the {name}!`], 'warning');
+        applyStatus(entity, 'blind', 10, {source: trap});
+    },
+};
+
+/** Traps that send whoever sets them off somewhere else, so that
+    there's no walking past them */
+const DISPLACING_TRAPS = ['teleport', 'pit'];
+
+/** set off the trap where the entity is standing, if there is one */
+function triggerTrap(entity) {
+    let trap = trapAt(entity.location.x, entity.location.y);
+    if (!trap || entity.dead) { return; }
+    if (entity.id === player.id || canSee(player, trap.location)) {
+        trap.revealed = true;
+    }
+    TRAP_EFFECTS[trap.trap](entity, trap);
+}
+
+/** Look for hidden traps the player can see within radius, finding
+    each with percent chance. Every turn the player gets a small chance
+    to notice nearby traps; searching is a much better one. */
+function searchForTraps(radius, chance) {
+    let lightMap = computeLightMap(player.location, tileMap, Math.min(radius, player.sight_radius));
+    let found = Array.from(entities.values())
+        .filter(e => isHiddenTrap(e) && e.location.z === player.location.z)
+        .filter(e => lightMap.get(e.location.x, e.location.y) > 0.0)
+        .filter(() => ROT.RNG.getPercentage() <= chance);
+    for (let trap of found) {
+        trap.revealed = true;
+        print(`You find a ${trap.name}!`, 'warning');
+    }
+    return found;
+}
+
+const PERCEPTION_RADIUS = 2;
+const PERCEPTION_CHANCE = 10;
+
+function playerSearch() {
+    const SEARCH_RADIUS = 2;
+    const SEARCH_CHANCE = 60;
+    if (searchForTraps(SEARCH_RADIUS, SEARCH_CHANCE).length === 0) {
+        print(`You search the area but find nothing.`, 'info');
+    }
+    enemiesMove();
+}
+
+
+//////////////////////////////////////////////////////////////////////
+// player actions
+
+/** pick up the only item here, or ask which one if there's a pile */
+function playerPickupItem() {
+    let items = allEntitiesAt(player.location.x, player.location.y).filter(e => e.item);
+    if (items.length === 0) {
+        print(`There is nothing here to pick up.`, 'warning');
+    } else if (items.length === 1) {
+        playerPickupItemEntity(items[0]);
+    } else {
+        pickupOverlay.open(items);
+    }
+}
+
+function playerPickupItemEntity(item) {
+    let stack = !item.stackable ? null
+        : player.inventory
+            .filter(id => id !== null)
+            .map(id => entities.get(id))
+            .find(carried => carried.type === item.type);
+    if (stack) {
+        print(`You pick up the ${itemDisplayName(item)}!`, 'pick-up');
+        stack.count = (stack.count || 1) + (item.count || 1);
+        entities.delete(item.id);
+        enemiesMove();
+        return;
+    }
+
+    let slot = player.inventory.indexOf(null); // first open inventory slot
+    if (slot < 0) {
+        print(`You cannot carry any more. Your inventory is full.`, 'warning');
+        return;
+    }
+
+    print(`You pick up the ${itemDisplayName(item)}!`, 'pick-up');
+    moveEntityTo(item, {carried_by: player.id, slot});
+    enemiesMove();
+}
+
+function playerMoveBy(dx, dy) {
+    if (Math.abs(dx) > 1 || Math.abs(dy) > 1) { return; } // one step at a time
+    if (hasStatus(player, 'confused') && (dx !== 0 || dy !== 0)) {
+        dx = randint(-1, 1);
+        dy = randint(-1, 1);
+    }
+    let x = player.location.x + dx,
+        y = player.location.y + dy;
+    if (isDiagonalBlocked(player.location.x, player.location.y, dx, dy)) {
+        return;
+    }
+    if (tileMap.get(x, y).walkable) {
+        let target = blockingEntityAt(x, y);
+        if (target && isHostile(player, target)) {
+            attack(player, target);
+        } else if (target && target.id !== player.id) {
+            // Trade places with a friendly creature
+            moveEntityTo(target, player.location);
+            moveEntityTo(player, {x, y, z: player.location.z});
+            triggerTrap(player);
+        } else if (dx !== 0 || dy !== 0) {
+            moveEntityTo(player, {x, y, z: player.location.z});
+            triggerTrap(player);
+        }
+        enemiesMove();
+    } else if (tileMap.get(x, y).door) {
+        if (openDoor(player, x, y)) enemiesMove();
+    }
+}
+
+/** one of the keys the player is carrying, or undefined */
+function playerKey() {
+    return player.inventory
+        .map(id => id !== null && entities.get(id))
+        .find(item => item && item.type === 'key');
+}
+
+/** entity walks into a closed or locked door at (x, y); returns true
+    if opening it took the entity's turn */
+function openDoor(entity, x, y) {
+    let tile = tileMap.get(x, y);
+    if (tile.door === 'closed') {
+        setDoor(tile, 'open');
+        if (entity.id === player.id) {
+            print(`You open the door.`, 'info');
+        } else if (canSee(player, {x, y})) {
+            print(`The ${entity.name} opens a door.`, 'info');
+        }
+        return true;
+    }
+    if (tile.door === 'locked' && entity.id === player.id) {
+        let key = playerKey();
+        if (!key) {
+            print(`The door is locked. You need a key.`, 'warning');
+            return false;
+        }
+        consumeItem(key);
+        setDoor(tile, 'open');
+        print(`You unlock the door.`, 'info');
+        return true;
+    }
+    return false;
+}
+
+/** open doors next to the player with nothing in the way of closing them */
+function adjacentOpenDoors() {
+    let {x, y} = player.location;
+    return ROT.DIRS[8]
+        .map(([dx, dy]) => ({x: x + dx, y: y + dy}))
+        .filter(p => tileMap.has(p.x, p.y) && tileMap.get(p.x, p.y).door === 'open')
+        .filter(p => allEntitiesAt(p.x, p.y).length === 0);
+}
+
+function playerCloseDoor() {
+    let doors = adjacentOpenDoors();
+    if (doors.length === 0) {
+        print(`There's no open door next to you that you can close.`, 'warning');
+        return;
+    }
+    // With several doors nearby, each press closes the next one
+    setDoor(tileMap.get(doors[0].x, doors[0].y), 'closed');
+    print(`You close the door.`, 'info');
+    enemiesMove();
+}
+
+/** Take steps, a normal turn each, until nextStep() returns null or
+    something needs the player's attention: taking damage, or spotting
+    an enemy, item or trap that wasn't in view before. A step is
+    [dx, dy], and [0, 0] waits a turn. */
+function playerAutoMove(nextStep) {
+    const MAX_STEPS = 1000;
+    // This also marks tiles explored, as draw() won't run until the end
+    const visible = (filter) => {
+        let lightMap = computePlayerLightMap();
+        return Array.from(entities.values())
+            .filter(e => filter(e) && e.location.z === player.location.z)
+            .filter(e => lightMap.get(e.location.x, e.location.y) > 0.0);
+    };
+    const isItem = e => e.item || (e.trap && e.revealed);
+    const isEnemy = e => !e.dead && isHostile(player, e);
+    // Whatever is already in view when setting out doesn't count
+    let seenItems = new Set(visible(isItem).map(e => e.id));
+    let seenEnemies = new Set(visible(isEnemy).map(e => e.id));
+    for (let i = 0; i < MAX_STEPS; i++) {
+        // An enemy that goes out of view counts as new when it comes back
+        let enemies = visible(isEnemy);
+        let enemy = enemies.find(e => !seenEnemies.has(e.id));
+        seenEnemies = new Set(enemies.map(e => e.id));
+        if (enemy) {
+            print(`You stop because the ${enemy.name} is in view.`, 'warning');
+            return;
+        }
+        let step = nextStep();
+        if (!step) return;
+        let [dx, dy] = step;
+        let {x, y, z} = player.location, hp = player.hp;
+        let doorWas = (dx !== 0 || dy !== 0) ? tileMap.get(x + dx, y + dy).door : undefined;
+        let trap = (dx !== 0 || dy !== 0) ? trapAt(x + dx, y + dy) : null;
+        if ((dx !== 0 || dy !== 0) && blockingEntityAt(x + dx, y + dy)) {
+            print(`You stop because something is in the way.`, 'warning');
+            return;
+        }
+
+        playerMoveBy(dx, dy);
+        if (player.dead) return;
+        // A trap may have sent the player somewhere else entirely, so the
+        // rest of the route no longer makes sense
+        let moved = player.location.x !== x || player.location.y !== y || player.location.z !== z;
+        if (trap && moved) {
+            print(`You stop because of the ${trap.name}.`, 'warning');
+            return;
+        }
+        let openedDoor = doorWas && doorWas !== 'open' && tileMap.get(x + dx, y + dy).door === 'open';
+        if ((dx !== 0 || dy !== 0) && player.location.x === x && player.location.y === y
+            && !openedDoor) return;
+        if (player.hp < hp) {
+            print(`You stop because you are hurt.`, 'warning');
+            return;
+        }
+        let item = visible(isItem).find(e => !seenItems.has(e.id));
+        if (item) {
+            print(`You stop because you see a ${item.name}.`, 'pick-up');
+            return;
+        }
+    }
+    print(`You stop after a long while.`, 'info');
+}
+
+/** closed doors count, as walking into one opens it, and so do locked
+    doors while the player has a key. Traps the player knows about only
+    count with throughTraps, and the ones that would send the player
+    somewhere else never do. */
+function isKnownPassable(x, y, throughTraps=false) {
+    if (!tileMap.has(x, y)) { return false; }
+    let tile = tileMap.get(x, y);
+    let canOpen = tile.door === 'closed' || (tile.door === 'locked' && playerKey());
+    if (!(tile.walkable || canOpen)) { return false; }
+    if (!DEBUG_ALL_EXPLORED && !tile.explored) { return false; }
+    let trap = trapAt(x, y);
+    if (!trap || !trap.revealed) { return true; }
+    return throughTraps && !DISPLACING_TRAPS.includes(trap.trap);
+}
+
+/** path over explored tiles, going around known traps if there's a way,
+    and over them if there isn't */
+function findKnownPath(from, to) {
+    if (!isKnownPassable(to.x, to.y, true)) { return []; }
+    let path = findPath(from, to, isKnownPassable);
+    if (path.length === 0) {
+        path = findPath(from, to, (x, y) => isKnownPassable(x, y, true));
+    }
+    return path;
+}
+
+/** walk to (x,y) over explored tiles */
+function playerTravelTo(x, y) {
+    let path = findKnownPath(player.location, {x, y});
+    if (path.length === 0) {
+        print(`You don't know a way there.`, 'warning');
+        return;
+    }
+    playerAutoMove(() => {
+        // The player stays put for a turn when a step opens a door
+        if (path.length > 0 && path[0].x === player.location.x && path[0].y === player.location.y) {
+            path.shift();
+        }
+        let step = path[0];
+        if (step && distance(step, player.location) > 1) {
+            print(`You stop because you're no longer on the way there.`, 'warning');
+            return null;
+        }
+        return step ? [step.x - player.location.x, step.y - player.location.y] : null;
+    });
+}
+
+/** path to the nearest explored floor tile next to unexplored space,
+    as a list of {x, y} starting at the player; null if there is none */
+function findExploreFrontier(passable) {
+    const isFrontier = (x, y) => ROT.DIRS[8].some(([dx, dy]) =>
+        tileMap.has(x + dx, y + dy) && !tileMap.get(x + dx, y + dy).explored);
+    // Breadth first search, remembering where each tile was reached from
+    let cameFrom = createMap();
+    let queue = [{x: player.location.x, y: player.location.y}];
+    cameFrom.set(queue[0].x, queue[0].y, null);
+    while (queue.length > 0) {
+        let current = queue.shift();
+        if (isFrontier(current.x, current.y)) {
+            let path = [];
+            for (let p = current; p; p = cameFrom.get(p.x, p.y)) path.unshift(p);
+            return path;
+        }
+        for (let [dx, dy] of ROT.DIRS[8]) {
+            let next = {x: current.x + dx, y: current.y + dy};
+            if (!cameFrom.has(next.x, next.y) && passable(next.x, next.y)
+                && !isDiagonalBlocked(current.x, current.y, dx, dy)) {
+                cameFrom.set(next.x, next.y, current);
+                queue.push(next);
+            }
+        }
+    }
+    return null;
+}
+
+function playerAutoExplore() {
+    playerAutoMove(() => {
+        // Only cross a known trap when there's no other way to go
+        let path = findExploreFrontier(isKnownPassable)
+            || findExploreFrontier((x, y) => isKnownPassable(x, y, true));
+        if (!path) {
+            print(`There's nowhere left to explore on this level.`, 'info');
+            return null;
+        }
+        return [path[1].x - player.location.x, path[1].y - player.location.y];
+    });
+}
+
+function playerRest() {
+    if (player.hp >= player.effective_max_hp) {
+        print(`You don't need to rest.`, 'warning');
+        return;
+    }
+    playerAutoMove(() => {
+        if (player.hp >= player.effective_max_hp) {
+            print(`You feel rested.`, 'info');
+            return null;
+        }
+        return [0, 0];
+    });
+}
+
+/** Run in a direction. In a room, go straight until something is in
+    the way. In a corridor, follow its turns, but stop where it forks,
+    at a dead end, or at the doorway into a room. Doors always stop a
+    run. Running diagonally into a corridor turns into following it. */
+function playerRun(dx, dy) {
+    const isOpen = (x, y) => tileMap.has(x, y) && tileMap.get(x, y).walkable;
+    const isDoor = (x, y) => tileMap.has(x, y) && tileMap.get(x, y).door !== undefined;
+    const inRoom = (x, y) => (tileMap.rooms || []).some(room => isInsideRoom(room, x, y));
+    const CARDINALS = [[+1, 0], [-1, 0], [0, +1], [0, -1]];
+    let started = false,
+        startedInRoom = inRoom(player.location.x, player.location.y);
+    playerAutoMove(() => {
+        let {x, y} = player.location;
+        if (started) {
+            let item = itemEntityAt(x, y);
+            if (item) {
+                print(`You stop because there's a ${item.name} here.`, 'pick-up');
+                return null;
+            }
+            if (isDoor(x, y)) {
+                print(`You stop at the door.`, 'info');
+                return null;
+            }
+            if (inRoom(x, y) !== startedInRoom) {
+                print(`You stop at the doorway.`, 'info');
+                return null;
+            }
+            if (!startedInRoom) {
+                // After a diagonal step, both tiles beside the one behind are
+                // open too, but they're not a way onward
+                const isBehind = (ex, ey) => distance({x: ex, y: ey}, {x: -dx, y: -dy}) <= (dx && dy ? 1 : 0);
+                let exits = CARDINALS.filter(([ex, ey]) => !isBehind(ex, ey)
+                                             && (isOpen(x + ex, y + ey) || isDoor(x + ex, y + ey)));
+                if (exits.length === 0) {
+                    print(`You stop at a dead end.`, 'info');
+                    return null;
+                }
+                if (exits.length > 1) {
+                    print(`You stop where the corridor forks.`, 'info');
+                    return null;
+                }
+                [dx, dy] = exits[0];
+                if (inRoom(x + dx, y + dy)) {
+                    print(`You stop at the doorway.`, 'info');
+                    return null;
+                }
+            }
+        }
+        let trap = trapAt(x + dx, y + dy);
+        if (trap && trap.revealed) {
+            print(`You stop in front of the ${trap.name}.`, 'warning');
+            return null;
+        }
+        if (started && isDoor(x + dx, y + dy) && !isOpen(x + dx, y + dy)) {
+            print(`You stop at the door.`, 'info');
+            return null;
+        }
+        if (!isOpen(x + dx, y + dy) || isDiagonalBlocked(x, y, dx, dy)) {
+            if (started) print(`You stop at the wall.`, 'info');
+            else print(`You can't run that way.`, 'warning');
+            return null;
+        }
+        started = true;
+        return [dx, dy];
+    });
+}
 
-    // Heal the player
-    player.hp = ROT.Util.clamp(player.hp + Math.floor(player.effective_max_hp / 2),
-                               0, player.effective_max_hp);
+/** make dungeonLevel the current level, creating it if it hasn't been
+    visited yet, in which case the player starts in its first room;
+    returns true if it's new */
+function enterLevel(dungeonLevel) {
+    if (tileMaps.has(dungeonLevel)) {
+        tileMap = tileMaps.get(dungeonLevel);
+        return false;
+    }
+    tileMap = createTileMap(dungeonLevel);
+    tileMaps.set(dungeonLevel, tileMap);
+    // Monsters that fell through a pit before this level existed
+    for (let entity of entities.values()) {
+        if (entity.falling_to === dungeonLevel) {
+            moveEntityTo(entity, randomFloorLocation() || levelStart(tileMap));
+            delete entity.falling_to;
+        }
+    }
+    return true;
+}
+
+/** direction is 'down' or 'up'; the levels left behind are kept in
+    tileMaps, and everything on them stays where it was */
+function playerTakeStairs(direction) {
+    if (!allEntitiesAt(player.location.x, player.location.y).some(e => e.stairs === direction)) {
+        print(`There are no stairs ${direction} here.`, 'warning');
+        return;
+    }
+
+    let dungeonLevel = tileMap.dungeonLevel + (direction === 'down' ? +1 : -1);
+    if (!enterLevel(dungeonLevel)) {
+        // Arrive on the stairs that lead back to where we came from
+        let arrivalType = direction === 'down' ? 'upstairs' : 'stairs';
+        let arrival = Array.from(entities.values())
+            .find(e => e.type === arrivalType && e.location.z === dungeonLevel);
+        moveEntityTo(player, {x: arrival.location.x, y: arrival.location.y, z: dungeonLevel});
+        scheduleActors(dungeonLevel);
+        print(`You return to dungeon level ${dungeonLevel}.`, 'welcome');
+    } else {
+        scheduleActors(dungeonLevel);
+
+        // Heal the player
+        player.hp = ROT.Util.clamp(player.hp + Math.floor(player.effective_max_hp / 2),
+                                   0, player.effective_max_hp);
 
-    print(`You take a moment to rest, and recover your strength.`, 'welcome');
+        print(`You take a moment to rest, and recover your strength.`, 'welcome');
+    }
     draw();
 }
 
 //////////////////////////////////////////////////////////////////////
 // monster actions
 
-function enemiesMove() {
-    let lightMap = computeLightMap(player.location, tileMap);
+/** the closest entity this one wants to attack and can see, or null */
+function nearestVisibleHostile(entity, radius=entity.sight_radius, lighting=currentLighting()) {
+    let candidates = Array.from(entities.values())
+        .filter(e => e.location.z === entity.location.z && !e.dead)
+        .filter(e => isHostile(entity, e))
+        .filter(e => distance(entity.location, e.location) <= radius);
+    if (candidates.length === 0) { return null; }
+
+    let visible = createMap();
+    tileMap.fov.compute(entity.location.x, entity.location.y, radius, (x, y, r, visibility) => {
+        if (visibility > 0.0) { visible.set(x, y, true); }
+    });
+    candidates = candidates.filter(e => visible.has(e.location.x, e.location.y));
+    if (entity.id === player.id) {
+        candidates = candidates.filter(e => lighting.has(e.location.x, e.location.y));
+    }
+    candidates.sort((a, b) => distance(a.location, entity.location) - distance(b.location, entity.location));
+    return candidates[0] || null;
+}
+
+/** a sleeping monster wakes up and goes to look at what disturbed it */
+function wakeUp(entity, location) {
+    if (canSee(player, entity.location)) {
+        print(`The ${entity.name} wakes up!`, 'enemy-attack');
+    }
+    entity.ai = {behavior: 'hunting', last_seen: {x: location.x, y: location.y}, turns_unseen: 0};
+}
+
+/** wake up sleeping monsters within earshot of a noise */
+function makeNoise(location, radius) {
     for (let entity of entities.values()) {
-        if (!entity.dead && entity.location.x !== undefined && entity.ai) {
-            switch (entity.ai.behavior) {
-              case 'move_to_player': {
-                  if (!(lightMap.get(entity.location.x, entity.location.y) > 0.0)) {
-                      // The player can't see the monster, so the monster
-                      // can't see the player, so the monster doesn't move
-                      continue;
-                  }
+        if (entity.ai && entity.ai.behavior === 'sleeping'
+            && entity.location.z === location.z
+            && distance(entity.location, location) <= radius) {
+            wakeUp(entity, location);
+        }
+    }
+}
 
-                  let dx = player.location.x - entity.location.x,
-                      dy = player.location.y - entity.location.y;
+/** Shortest path on the current level as a list of {x, y}, starting
+    with `from` and ending with `to`; empty if there's no way there.
+    ROT.Path.AStar only asks whether each tile is passable, not each
+    step, so it would cut corners. This is the same A* search, but
+    checking every step with isDiagonalBlocked. */
+function findPath(from, to, passable) {
+    // The open tiles are a binary heap, lowest estimated total cost
+    // first, and on a tie the one closer to `to`
+    let open = [];
+    const before = (a, b) => a.f < b.f || (a.f === b.f && a.h < b.h);
+    function push(node) {
+        let i = open.push(node) - 1;
+        while (i > 0 && before(open[i], open[(i - 1) >> 1])) {
+            [open[i], open[(i - 1) >> 1]] = [open[(i - 1) >> 1], open[i]];
+            i = (i - 1) >> 1;
+        }
+    }
+    function pop() {
+        let top = open[0], last = open.pop();
+        if (open.length > 0) {
+            open[0] = last;
+            for (let i = 0; ;) {
+                let smallest = i;
+                for (let child of [2*i + 1, 2*i + 2]) {
+                    if (child < open.length && before(open[child], open[smallest])) smallest = child;
+                }
+                if (smallest === i) break;
+                [open[i], open[smallest]] = [open[smallest], open[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
 
-                  // Pick either vertical or horizontal movement randomly
-                  let stepx = 0, stepy = 0;
-                  if (randint(1, Math.abs(dx) + Math.abs(dy)) <= Math.abs(dx)) {
-                      stepx = dx / Math.abs(dx);
-                  } else {
-                      stepy = dy / Math.abs(dy);
-                  }
-                  let x = entity.location.x + stepx,
-                      y = entity.location.y + stepy;
-                  if (tileMap.get(x, y).walkable) {
-                      let target = blockingEntityAt(x, y);
-                      if (target && target.id === player.id) {
-                          attack(entity, player);
-                      } else if (target) {
-                          // another monster there; can't move
-                      } else {
-                          moveEntityTo(entity, {x, y});
-                      }
-                  }
-                  break;
-              }
-              case 'confused': {
-                  if (--entity.ai.turns > 0) {
-                      let stepx = randint(-1, 1), stepy = randint(-1, 1);
-                      let x = entity.location.x + stepx,
-                          y = entity.location.y + stepy;
-                      if (tileMap.get(x, y).walkable) {
-                          if (!blockingEntityAt(x, y)) {
-                              moveEntityTo(entity, {x, y});
-                          }
-                      }
-                  } else {
-                      entity.ai = {behavior: 'move_to_player'};
-                      print(`The ${entity.name} is no longer confused!`, 'enemy-attack');
-                  }
-                  break;
-              }
-              default: {
-                  throw `unknown enemy ai: ${entity.ai}`;
-              }
+    let cameFrom = createMap(), cost = createMap();
+    cameFrom.set(from.x, from.y, null);
+    cost.set(from.x, from.y, 0);
+    push({x: from.x, y: from.y, g: 0, h: distance(from, to), f: distance(from, to)});
+    while (open.length > 0) {
+        let current = pop();
+        if (current.g > cost.get(current.x, current.y)) { continue; } // found a shorter way since
+        if (current.x === to.x && current.y === to.y) {
+            let path = [];
+            for (let p = current; p; p = cameFrom.get(p.x, p.y)) path.unshift({x: p.x, y: p.y});
+            return path;
+        }
+        for (let [dx, dy] of ROT.DIRS[8]) {
+            let x = current.x + dx, y = current.y + dy, g = current.g + 1;
+            if ((!cost.has(x, y) || g < cost.get(x, y)) && passable(x, y)
+                && !isDiagonalBlocked(current.x, current.y, dx, dy)) {
+                cost.set(x, y, g);
+                cameFrom.set(x, y, current);
+                let h = distance({x, y}, to);
+                push({x, y, g, h, f: g + h});
+            }
+        }
+    }
+    return [];
+}
+
+/** next {x, y} for a monster walking toward a destination, or null.
+    Other blocking entities are routed around, but if they block the
+    only way, the monster lines up behind them instead of giving up. */
+function monsterStepToward(entity, destination) {
+    // Monsters can open doors but don't have keys
+    const walkable = (x, y) => tileMap.has(x, y)
+          && (tileMap.get(x, y).walkable || tileMap.get(x, y).door === 'closed');
+    let occupied = createMap(), trapped = createMap();
+    for (let e of entities.values()) {
+        if (e.location.z !== entity.location.z) { continue; }
+        if (e.blocks) occupied.set(e.location.x, e.location.y, true);
+        if (e.trap && entity.knows_traps) trapped.set(e.location.x, e.location.y, true);
+    }
+    const isEndpoint = (x, y) => (x === entity.location.x && y === entity.location.y)
+          || (x === destination.x && y === destination.y);
+    const safe = (x, y) => walkable(x, y) && (isEndpoint(x, y) || !trapped.has(x, y));
+    let path = findPath(entity.location, destination,
+                        (x, y) => safe(x, y) && (isEndpoint(x, y) || !occupied.has(x, y)));
+    if (path.length === 0) {
+        path = findPath(entity.location, destination, safe);
+    }
+    return path[1] || null;
+}
+
+/** walking into a closed door opens it, and that uses up the move */
+function monsterMoveTo(entity, {x, y}) {
+    if (tileMap.get(x, y).door === 'closed') {
+        openDoor(entity, x, y);
+    } else {
+        moveEntityTo(entity, {x, y, z: entity.location.z});
+        triggerTrap(entity);
+    }
+}
+
+/** the player slowly heals without any help, one hp every so many turns */
+const NATURAL_REGENERATION_TURNS = 5;
+
+/** the player has used up their turn; everyone else on the level acts
+    according to their speed until it's the player's turn again */
+function enemiesMove() {
+    updateLighting();
+    searchForTraps(PERCEPTION_RADIUS, PERCEPTION_CHANCE);
+    endTurn(player);
+    scheduler.add(player, false);
+    for (let entity = scheduler.next(); entity !== player; entity = scheduler.next()) {
+        advanceTurns();
+        // Anyone who died or fell to another level drops out of the schedule
+        if (entity.dead || !entity.ai || entity.location.z !== player.location.z) { continue; }
+        enemyTakeTurn(entity);
+        endTurn(entity);
+        scheduler.add(entity, false);
+    }
+    advanceTurns();
+}
+
+function enemyTakeTurn(entity) {
+    if (hasStatus(entity, 'confused')) {
+        // Stumble around; the usual behavior resumes when this wears off
+        let stepx = randint(-1, 1), stepy = randint(-1, 1);
+        let x = entity.location.x + stepx,
+            y = entity.location.y + stepy;
+        if (tileMap.get(x, y).walkable
+            && !isDiagonalBlocked(entity.location.x, entity.location.y, stepx, stepy)) {
+            if (!blockingEntityAt(x, y)) {
+                moveEntityTo(entity, {x, y, z: entity.location.z});
+                triggerTrap(entity);
             }
         }
+        return;
+    }
+
+    switch (entity.ai.behavior) {
+      case 'hunting': {
+          // Chase the nearest enemy in view, then keep going to where
+          // one was last seen, until the monster loses interest
+          let prey = nearestVisibleHostile(entity);
+          if (prey) {
+              entity.ai.last_seen = {x: prey.location.x, y: prey.location.y};
+              entity.ai.turns_unseen = 0;
+          } else if (entity.ai.last_seen) {
+              let {x, y} = entity.ai.last_seen;
+              let arrived = entity.location.x === x && entity.location.y === y;
+              if (arrived || ++entity.ai.turns_unseen > entity.hunt_turns) {
+                  // Lost interest; go back to wandering around
+                  entity.ai = {behavior: 'wandering'};
+                  return;
+              }
+          }
+          if (!entity.ai.last_seen) { return; } // waiting to see an enemy
+
+          let step = monsterStepToward(entity, entity.ai.last_seen);
+          if (step) {
+              let target = blockingEntityAt(step.x, step.y);
+              if (target && isHostile(entity, target)) {
+                  attack(entity, target);
+              } else if (target) {
+                  // a friendly creature is there; can't move
+              } else {
+                  monsterMoveTo(entity, step);
+              }
+          }
+          break;
+      }
+      case 'wandering': {
+          if (nearestVisibleHostile(entity)) {
+              entity.ai = {behavior: 'hunting'};
+              enemyTakeTurn(entity);
+              return;
+          }
+          let destination = entity.ai.destination;
+          if (!destination
+              || (entity.location.x === destination.x && entity.location.y === destination.y)) {
+              let room = tileMap.rooms[randint(0, tileMap.rooms.length-1)];
+              destination = entity.ai.destination = randomRoomLocation(room);
+          }
+          let step = monsterStepToward(entity, destination);
+          if (step && !blockingEntityAt(step.x, step.y)) {
+              monsterMoveTo(entity, step);
+          } else if (!step) {
+              delete entity.ai.destination; // can't get there; pick another room
+          }
+          break;
+      }
+      case 'sleeping': {
+          const WAKE_DISTANCE = 3;
+          let intruder = nearestVisibleHostile(entity, Math.min(WAKE_DISTANCE, entity.sight_radius));
+          if (intruder) {
+              wakeUp(entity, intruder.location);
+          }
+          break;
+      }
+      default: {
+          throw `unknown enemy ai: ${entity.ai}`;
+      }
     }
 }
 
@@ -771,21 +2481,42 @@ function enemiesMove() {
 //////////////////////////////////////////////////////////////////////
 // ui
 
+/** The cursor can be moved with the keyboard or the mouse. While it's
+    open, draw() highlights the tiles and entities the item would reach. */
 function createTargetingOverlay() {
     const overlay = document.querySelector(`#targeting`);
     let visible = false;
     let callback = () => { throw `set callback`; };
+    let cursor = {x: 0, y: 0};
+    let radius = 0;
+
+    /** enemies the player can see, nearest first */
+    function visibleTargets() {
+        let lightMap = computePlayerLightMap();
+        let targets = Array.from(entities.values())
+            .filter(e => e.location.z === player.location.z && !e.dead)
+            .filter(e => isHostile(player, e))
+            .filter(e => lightMap.get(e.location.x, e.location.y) > 0.0);
+        targets.sort((a, b) => distance(a.location, player.location) - distance(b.location, player.location));
+        return targets;
+    }
 
     function onClick(event) {
-        let [x, y] = display.eventToPosition(event);
+        let position = eventToMapPosition(event);
+        if (!position) return;
+        let [x, y] = position;
+        cursor = {x, y};
         callback(x, y);
         // Ugh, the overlay is nice for capturing mouse events but
         // when you click, the game loses focus. Workaround:
         display.getContainer().focus();
     }
     function onMouseMove(event) {
-        let [x, y] = display.eventToPosition(event);
-        // TODO: feedback
+        let position = eventToMapPosition(event);
+        if (!position) return;
+        let [x, y] = position;
+        cursor = {x, y};
+        draw();
     }
 
     overlay.addEventListener('click', onClick);
@@ -793,11 +2524,186 @@ function createTargetingOverlay() {
 
     return {
         get visible() { return visible; },
-        open(instructions, callback_) {
+        open(instructions, callback_, radius_=0) {
             visible = true;
             callback = callback_;
+            radius = radius_;
+            let target = visibleTargets()[0] || player;
+            cursor = {x: target.location.x, y: target.location.y};
+            overlay.classList.add('visible');
+            overlay.innerHTML = `<div>${instructions}: move the cursor with the arrows or mouse, <kbd>Tab</kbd> to cycle targets, <kbd>Enter</kbd> to confirm, or <kbd>ESC</kbd> to cancel</div>`;
+        },
+        close() {
+            visible = false;
+            overlay.classList.remove('visible');
+        },
+        moveCursor(dx, dy) {
+            // Keep the cursor on the map, and on the part that's on screen
+            let [sx, sy] = camera.toScreen(cursor.x + dx, cursor.y + dy);
+            if (0 <= sx && sx < WIDTH && 0 <= sy && sy < HEIGHT) {
+                cursor = {x: ROT.Util.clamp(cursor.x + dx, 0, tileMap.width-1),
+                          y: ROT.Util.clamp(cursor.y + dy, 0, tileMap.height-1)};
+            }
+        },
+        cycleTarget() {
+            let targets = visibleTargets();
+            if (targets.length === 0) return;
+            let index = targets.findIndex(e => e.location.x === cursor.x && e.location.y === cursor.y);
+            let next = targets[(index + 1) % targets.length];
+            cursor = {x: next.location.x, y: next.location.y};
+        },
+        confirm() {
+            callback(cursor.x, cursor.y);
+        },
+        preview() {
+            let area = computeBlastArea(player, cursor.x, cursor.y, radius);
+            let affected = createMap();
+            for (let e of entitiesInArea(player, area)) {
+                affected.set(e.location.x, e.location.y, true);
+            }
+            return {cursor, area, affected};
+        },
+    };
+}
+
+/** one line per fact, for look mode */
+function describeEntity(entity) {
+    let lines = [`${itemDisplayName(entity)}: ${entity.description || ""}`];
+    if (entity.id === player.id) {
+        lines.push(`  That's you! HP: ${entity.hp} / ${entity.effective_max_hp}`);
+    } else if (entity.hp !== undefined && !entity.dead) {
+        let attitude = isHostile(entity, player) ? "hostile" : "not hostile";
+        let status = (entity.status_effects || []).map(effect => STATUS_EFFECTS[effect.type].label);
+        if (entity.ai) status.unshift(entity.ai.behavior);
+        lines.push(`  HP: ${entity.hp} / ${entity.effective_max_hp}, ${attitude}, ${status.join(", ")}`);
+    }
+    if (entity.item) {
+        let stats = [];
+        if (entity.bonus_power !== undefined) stats.push(`+${entity.bonus_power} attack`);
+        if (entity.bonus_defense !== undefined) stats.push(`+${entity.bonus_defense} defense`);
+        if (entity.bonus_max_hp !== undefined) stats.push(`+${entity.bonus_max_hp} max HP`);
+        if (entity.blast_radius !== undefined) stats.push(`reaches ${entity.blast_radius} tiles`);
+        if (entity.equipment_slot === EQUIP_MAIN_HAND) stats.push(`held in the main hand`);
+        if (entity.equipment_slot === EQUIP_OFF_HAND) stats.push(`held in the off hand`);
+        if (stats.length > 0) lines.push(`  ${stats.join(", ")}`);
+    }
+    return lines;
+}
+
+/** text for look mode */
+function describeTile(x, y) {
+    let tile = tileMap.get(x, y);
+    if (!tile || (!DEBUG_ALL_EXPLORED && !tile.explored)) {
+        return "You haven't explored there.";
+    }
+    const DOOR_TEXT = {open: "An open door.", closed: "A closed door.", locked: "A locked door."};
+    let terrain = tile.door ? DOOR_TEXT[tile.door]
+        : tile.wall ? "A stone wall." : "The dungeon floor.";
+    let lightMap = computePlayerLightMap();
+    let here = allEntitiesAt(x, y)
+        .filter(e => !isHiddenTrap(e))
+        .sort((a, b) => b.render_order - a.render_order);
+    if (!(lightMap.get(x, y) > 0.0)) {
+        let remembered = (tile.memory || []).map(thing =>
+            isRememberedMonster(thing) ? `${thing.name}, last seen here` : thing.name);
+        return [`You can't see there right now. You remember:`,
+                ...remembered,
+                terrain].join("\n");
+    }
+    return [...here.flatMap(describeEntity), terrain].join("\n");
+}
+
+/** look around the map with a keyboard cursor; the description goes
+    in the message overlay, the same place as mouse hover text */
+function createLookMode() {
+    let visible = false;
+    let cursor = {x: 0, y: 0};
+
+    function explored(x, y) {
+        let tile = tileMap.get(x, y);
+        return tile && (DEBUG_ALL_EXPLORED || tile.explored);
+    }
+
+    return {
+        get visible() { return visible; },
+        get cursor() { return cursor; },
+        open() {
+            visible = true;
+            cursor = {x: player.location.x, y: player.location.y};
+            setOverlayMessage(describeTile(cursor.x, cursor.y));
+        },
+        close() {
+            visible = false;
+            setOverlayMessage("");
+        },
+        moveCursor(dx, dy) {
+            // Skip over unexplored tiles to the next explored one
+            let {x, y} = cursor;
+            do {
+                x += dx;
+                y += dy;
+            } while (tileMap.has(x, y) && !explored(x, y));
+            if (explored(x, y)) cursor = {x, y};
+            setOverlayMessage(describeTile(cursor.x, cursor.y));
+        },
+    };
+}
+
+/** The whole level at a small scale, drawn from what has been
+    explored. Click on a spot to travel there. */
+function createMinimapOverlay() {
+    const overlay = document.querySelector(`#minimap`);
+    const TILE_SIZE = 5; // pixels
+    let visible = false;
+
+    const canvas = document.createElement('canvas');
+    overlay.appendChild(canvas);
+
+    function draw() {
+        canvas.width = tileMap.width * TILE_SIZE;
+        canvas.height = tileMap.height * TILE_SIZE;
+        const ctx = canvas.getContext('2d');
+        const fill = (x, y, color) => {
+            ctx.fillStyle = color;
+            ctx.fillRect(x * TILE_SIZE, y * TILE_SIZE, TILE_SIZE, TILE_SIZE);
+        };
+        const explored = (x, y) => tileMap.has(x, y) && (DEBUG_ALL_EXPLORED || tileMap.get(x, y).explored);
+
+        for (let y = 0; y < tileMap.height; y++) {
+            for (let x = 0; x < tileMap.width; x++) {
+                if (explored(x, y)) fill(x, y, mapColors[false][tileMap.get(x, y).wall]);
+            }
+        }
+        // Remembered items and stairs, then the player on top
+        for (let y = 0; y < tileMap.height; y++) {
+            for (let x = 0; x < tileMap.width; x++) {
+                let known = (tileMap.get(x, y).memory || [])
+                    .map(({type}) => ENTITY_PROPERTIES[type])
+                    .find(props => props.item || props.stairs);
+                if (known) fill(x, y, known.visuals[1]);
+            }
+        }
+        fill(player.location.x, player.location.y, player.visuals[1]);
+    }
+
+    function onClick(event) {
+        const rect = canvas.getBoundingClientRect();
+        let x = Math.floor((event.clientX - rect.left) / rect.width * tileMap.width),
+            y = Math.floor((event.clientY - rect.top) / rect.height * tileMap.height);
+        if (tileMap.has(x, y)) {
+            runAction(['travel', x, y]);
+        }
+        // Clicking on the overlay takes focus away from the game
+        display.getContainer().focus();
+    }
+    canvas.addEventListener('click', onClick);
+
+    return {
+        get visible() { return visible; },
+        open() {
+            visible = true;
+            draw();
             overlay.classList.add('visible');
-            overlay.innerHTML = `<div>${instructions}</div>`;
         },
         close() {
             visible = false;
@@ -818,6 +2724,9 @@ function createCharacterOverlay() {
                   .filter(id => id !== null)
                   .map(id => entities.get(id).type)
                   .join(" and ");
+            const statusHTML = (player.status_effects || [])
+                  .map(effect => `${STATUS_EFFECTS[effect.type].label} (${effect.turns} turns)`)
+                  .join(", ");
             overlay.innerHTML = `<div>Character information</div>
              <ul>
                <li>Level: ${player.level}</li>
@@ -828,6 +2737,7 @@ function createCharacterOverlay() {
                <li>Defense: ${player.base_defense} + ${player.increased_defense}</li>
              </ul>
              <p>Equipped: ${equipmentHTML}</p>
+             <p>Status: ${statusHTML || "normal"}</p>
              <div><kbd>ESC</kbd> to exit</div>`;
             
             visible = true;
@@ -874,7 +2784,7 @@ function createInventoryOverlay(action) {
         player.inventory.forEach((id, slot) => {
             if (id !== null) {
                 let item = entities.get(id);
-                html += `<li><kbd>${String.fromCharCode(65 + slot)}</kbd> ${item.name}</li>`;
+                html += `<li><kbd>${String.fromCharCode(65 + slot)}</kbd> ${itemDisplayName(item)}</li>`;
                 empty = false;
             }
         });
@@ -894,158 +2804,783 @@ function createInventoryOverlay(action) {
     };
 }
 
+/** choose one item from a pile on the floor */
+function createPickupOverlay() {
+    const overlay = document.querySelector(`#pickup`);
+    let visible = false;
+    let items = [];
 
-function handlePlayerDeadKeys(key) {
-    const actions = {
-        o:  ['toggle-debug'],
-        r:  ['restore-game'],
-        c:  ['character-open'],
+    return {
+        get visible() { return visible; },
+        get items() { return items; },
+        open(items_) {
+            visible = true;
+            items = items_;
+            let html = `<div>Select an item to pick up, or <kbd>ESC</kbd> to cancel.</div><ul>`;
+            items.forEach((item, index) => {
+                html += `<li><kbd>${String.fromCharCode(65 + index)}</kbd> ${itemDisplayName(item)}</li>`;
+            });
+            html += `</ul>`;
+            overlay.innerHTML = html;
+            overlay.classList.add('visible');
+        },
+        close() {
+            visible = false;
+            overlay.classList.remove('visible');
+        },
     };
-    return actions[key];
-}
-
-function handlePlayerKeys(key) {
-    const actions = {
-        ArrowRight:  ['move', +1, 0],
-        ArrowLeft:   ['move', -1, 0],
-        ArrowDown:   ['move', 0, +1],
-        ArrowUp:     ['move', 0, -1],
-        l:           ['move', +1, 0],
-        h:           ['move', -1, 0],
-        j:           ['move', 0, +1],
-        k:           ['move', 0, -1],
-        z:           ['move', 0, 0],
-        g:           ['pickup'],
-        '>':         ['stairs-down'],
-        u:           ['inventory-open-use'],
-        d:           ['inventory-open-drop'],
-        s:           ['save-game'],
+}
+
+
+/** the keyboard help, generated from ACTIONS */
+function createHelpOverlay() {
+    const overlay = document.querySelector(`#help`);
+    const SECTIONS = {player: "In the dungeon", look: "Looking around", targeting: "Aiming"};
+    let visible = false;
+
+    return {
+        get visible() { return visible; },
+        open() {
+            let html = `<div>Keys</div>`;
+            for (let [mode, title] of Object.entries(SECTIONS)) {
+                html += `<p>${title}</p><ul>`;
+                for (let [name, action] of Object.entries(ACTIONS)) {
+                    if (!action.help || !action.modes.includes(mode)) continue;
+                    html += `<li>${keyListHTML(Object.keys(actionKeys(name)))} ${action.help}</li>`;
+                }
+                html += `</ul>`;
+            }
+            html += `<p>Click on an explored tile to travel there.</p>
+             <div><kbd>ESC</kbd> to exit</div>`;
+            overlay.innerHTML = html;
+            visible = true;
+            overlay.classList.add('visible');
+        },
+        close() {
+            visible = false;
+            overlay.classList.remove('visible');
+        },
     };
-    let action = actions[key];
-    return action || handlePlayerDeadKeys(key);
 }
 
-function handleUpgradeKeys(key) {
-    const actions = {
-        a:  ['upgrade', 'hp'],
-        b:  ['upgrade', 'str'],
-        c:  ['upgrade', 'def'],
+/** change the key bindings; see keyBindings */
+function createKeybindingsOverlay() {
+    const overlay = document.querySelector(`#keybindings`);
+    const ROWS_AROUND = 8; // how many rows to show above and below the selected one
+    const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'NumLock'];
+    let visible = false;
+    let capturing = false;
+    let rows = [];
+    let selected = 0;
+
+    function draw() {
+        let presets = Object.keys(KEY_PRESETS)
+            .map((preset, i) => `<kbd>${i + 1}</kbd> ${preset}`)
+            .join(" ");
+        let html = `<div>Key bindings, starting from ${keyBindings.preset}. Presets: ${presets}</div><ul>`;
+        let first = ROT.Util.clamp(selected - ROWS_AROUND, 0, Math.max(0, rows.length - 2 * ROWS_AROUND - 1));
+        for (let i = first; i < Math.min(rows.length, first + 2 * ROWS_AROUND + 1); i++) {
+            let keys = keyBindingRowKeys(rows[i]).map(keyHTML).join(" ") || "none";
+            html += `<li class="${i === selected ? 'selected' : ''}">${keyBindingTitle(rows[i])}: ${keys}</li>`;
+        }
+        html += `</ul>`;
+        for (let {key, titles} of findKeyConflicts()) {
+            html += `<div class="conflict">${keyHTML(key)} is used for ${titles.join(" and ")}</div>`;
+        }
+        html += capturing
+            ? `<div>Press a key for ${keyBindingTitle(rows[selected])}, or <kbd>ESC</kbd> to cancel</div>`
+            : `<div><kbd>↑</kbd> <kbd>↓</kbd> select, <kbd>Enter</kbd> change, <kbd>Backspace</kbd> clear, <kbd>ESC</kbd> to exit</div>`;
+        overlay.innerHTML = html;
+    }
+
+    function changeSelected(keys) {
+        let {name, args} = rows[selected];
+        let unchanged = Object.entries(keyBindings.keys[name])
+            .filter(([_, a]) => String(a) !== String(args));
+        keyBindings.keys[name] = Object.fromEntries([...unchanged, ...keys.map(key => [key, args])]);
+        saveKeyBindings();
+    }
+
+    return {
+        get visible() { return visible; },
+        get capturing() { return capturing; },
+        open() {
+            visible = true;
+            capturing = false;
+            rows = keyBindingRows();
+            selected = 0;
+            draw();
+            overlay.classList.add('visible');
+        },
+        close() {
+            visible = false;
+            overlay.classList.remove('visible');
+        },
+        moveSelection(direction) {
+            selected = ROT.Util.clamp(selected + direction, 0, rows.length - 1);
+            draw();
+        },
+        startCapture() {
+            capturing = true;
+            draw();
+        },
+        finishCapture(key) {
+            // Wait for the key that goes with the modifier
+            if (MODIFIER_KEYS.includes(key)) return;
+            capturing = false;
+            if (key !== 'Escape') changeSelected([key]);
+            draw();
+        },
+        clearSelected() {
+            changeSelected([]);
+            draw();
+        },
+        usePreset(preset) {
+            keyBindings = {preset, keys: presetKeys(preset)};
+            saveKeyBindings();
+            draw();
+        },
     };
-    return actions[key];
 }
 
-function handleInventoryKeys(action) {
-    return key => {
-        if (key === 'Escape') { return [`inventory-close-${action}`]; }
-        let slot = key.charCodeAt(0) - 'a'.charCodeAt(0);
-        if (0 <= slot && slot < 26) {
-            let id = player.inventory[slot];
-            if (id !== null) {
-                return [`inventory-do-${action}`, id];
+
+//////////////////////////////////////////////////////////////////////
+// actions
+
+/* Everything the player can do is in ACTIONS, so that the key
+   handler, the instruction line, and the help overlay all agree on
+   which actions there are and when they're valid. Each action has:
+
+     modes: which of currentMode() it can be used in
+     keys: {key: [args]}; pressing the key runs it with those args. These
+         are the defaults, and the player can rebind them, see actionKeys()
+     fixedKeys: true if the keys can't be rebound
+     toggles: for closing an overlay, the action that opened it; the same
+         keys close it, and so does Escape
+     label: short text for the instruction line, if it goes there
+     help: longer text for the help overlay, if it goes there
+     canPerform(state, ...args): whether it's valid right now; the
+         state comes from actionState()
+     unavailable: what to say when the key is pressed but it's not valid
+     execute(...args)
+
+   runAction(['name', ...args]) checks canPerform and then runs it. */
+
+/** keys a–z, each with its 0–25 index as the argument */
+const LETTER_KEYS = Object.fromEntries(
+    Array.from({length: 26}, (_, i) => [String.fromCharCode('a'.charCodeAt(0) + i), [i]]));
+
+/** keys for moving around, each with [dx, dy] as the arguments */
+const DIRECTION_KEYS = {
+    arrows: {ArrowRight: [+1, 0], ArrowLeft: [-1, 0], ArrowDown: [0, +1], ArrowUp: [0, -1]},
+    vi: {l: [+1, 0], h: [-1, 0], j: [0, +1], k: [0, -1],
+         n: [+1, +1], b: [-1, +1], u: [+1, -1], y: [-1, -1]},
+    wasd: {d: [+1, 0], a: [-1, 0], s: [0, +1], w: [0, -1]},
+    // Numpad keys are digits with NumLock on, and named keys with it off.
+    // The arrow keys have no diagonals, so every preset includes these.
+    numpad: {'6': [+1, 0], '4': [-1, 0], '2': [0, +1], '8': [0, -1]},
+    numpadDiagonals: {'3': [+1, +1], '1': [-1, +1], '9': [+1, -1], '7': [-1, -1],
+                      PageDown: [+1, +1], End: [-1, +1], PageUp: [+1, -1], Home: [-1, -1]},
+};
+
+/** the same keys with Shift held down, see handleKeyDown() */
+function shiftKeys(keys) {
+    return Object.fromEntries(Object.entries(keys).map(
+        ([key, args]) => [key.length === 1 ? key.toUpperCase() : `Shift+${key}`, args]));
+}
+
+/** Alternatives to the default keys in ACTIONS, {name: keys}. Actions
+    not listed here keep their default keys. */
+const KEY_PRESETS = {
+    'arrows+vi': {},
+    'WASD+E+F': {
+        'move': {...DIRECTION_KEYS.arrows, ...DIRECTION_KEYS.numpadDiagonals, ...DIRECTION_KEYS.wasd},
+        'wait': {' ': [], z: []},
+        'run': shiftKeys({...DIRECTION_KEYS.arrows, ...DIRECTION_KEYS.wasd}),
+        'save-game': {F5: []},
+        'restore-game': {F9: []},
+        'inventory-open-use': {f: []},
+        'inventory-open-drop': {q: []},
+        'pickup': {e: []},
+        'auto-explore': {r: []},
+        'search': {v: []},
+        'look-move': {...DIRECTION_KEYS.arrows, ...DIRECTION_KEYS.numpadDiagonals, ...DIRECTION_KEYS.wasd},
+        'targeting-move': {...DIRECTION_KEYS.arrows, ...DIRECTION_KEYS.numpadDiagonals, ...DIRECTION_KEYS.wasd},
+        'targeting-confirm': {Enter: [], f: []},
+    },
+    'numpad': {
+        'move': {...DIRECTION_KEYS.arrows, ...DIRECTION_KEYS.numpad, ...DIRECTION_KEYS.numpadDiagonals, ...DIRECTION_KEYS.vi},
+        'wait': {'5': [], Clear: [], z: []},
+        'look-move': {...DIRECTION_KEYS.arrows, ...DIRECTION_KEYS.numpad, ...DIRECTION_KEYS.numpadDiagonals, ...DIRECTION_KEYS.vi},
+        'targeting-move': {...DIRECTION_KEYS.arrows, ...DIRECTION_KEYS.numpad, ...DIRECTION_KEYS.numpadDiagonals, ...DIRECTION_KEYS.vi},
+    },
+};
+
+const ACTIONS = {
+    'move': {
+        modes: ['player'],
+        keys: {...DIRECTION_KEYS.arrows, ...DIRECTION_KEYS.numpadDiagonals, ...DIRECTION_KEYS.vi},
+        label: "move",
+        help: "move, or attack whatever is in the way",
+        execute(dx, dy) { playerMoveBy(dx, dy); },
+    },
+    'wait': {
+        modes: ['player'],
+        keys: {z: []},
+        help: "wait a turn",
+        execute() { playerMoveBy(0, 0); },
+    },
+    'run': {
+        modes: ['player'],
+        keys: shiftKeys({...DIRECTION_KEYS.arrows, ...DIRECTION_KEYS.vi}),
+        label: "run",
+        help: "run until something interesting happens",
+        execute(dx, dy) { playerRun(dx, dy); },
+    },
+    'rest': {
+        modes: ['player'],
+        keys: {Z: []},
+        label: "rest",
+        help: "rest until healed",
+        execute() { playerRest(); },
+    },
+    'save-game': {
+        modes: ['player'],
+        keys: {s: []},
+        label: "Save game",
+        help: "save the game",
+        execute() {
+            let json = serializeGlobalState();
+            window.localStorage.setItem(STORAGE_KEY, json);
+            setTemporaryOverlayMessage("Saved game.");
+        },
+    },
+    'restore-game': {
+        modes: ['player', 'dead'],
+        keys: {r: []},
+        label: "Restore game",
+        help: "restore the saved game",
+        canPerform: (state) => state.hasSavedGame,
+        unavailable: "There is no saved game.",
+        execute() {
+            let json = window.localStorage.getItem(STORAGE_KEY);
+            if (deserializeGlobalState(json)) {
+                setTemporaryOverlayMessage("Restored saved game.");
+                drawMessages();
+            } else {
+                print(`The saved game is from an older version, and can't be restored.`, 'warning');
             }
-        }
-        return undefined;
+        },
+    },
+    'inventory-open-use': {
+        modes: ['player'],
+        keys: {a: []},
+        label: "Apply",
+        help: "use an item",
+        canPerform: (state) => state.hasItems,
+        unavailable: "You aren't carrying anything.",
+        execute() { inventoryOverlayUse.open(); },
+    },
+    'inventory-open-drop': {
+        modes: ['player'],
+        keys: {d: []},
+        label: "Drop",
+        help: "drop an item",
+        canPerform: (state) => state.hasItems,
+        unavailable: "You aren't carrying anything.",
+        execute() { inventoryOverlayDrop.open(); },
+    },
+    'pickup': {
+        modes: ['player'],
+        keys: {g: []},
+        label: "Get item",
+        help: "pick up an item",
+        canPerform: (state) => state.onItem,
+        unavailable: "There is nothing here to pick up.",
+        execute() { playerPickupItem(); },
+    },
+    'stairs': {
+        modes: ['player'],
+        keys: {'>': ['down'], '<': ['up']},
+        label: "stairs",
+        help: "take the stairs",
+        canPerform: (state, direction) => state.onStairs === direction,
+        unavailable: "There are no stairs going that way here.",
+        execute(direction) { playerTakeStairs(direction); },
+    },
+    'close-door': {
+        modes: ['player'],
+        keys: {C: []},
+        label: "Close door",
+        help: "close a door next to you",
+        canPerform: (state) => state.nextToOpenDoor,
+        unavailable: "There's no open door next to you that you can close.",
+        execute() { playerCloseDoor(); },
+    },
+    'auto-explore': {
+        modes: ['player'],
+        keys: {e: []},
+        label: "Explore",
+        help: "explore until something interesting happens",
+        execute() { playerAutoExplore(); },
+    },
+    'search': {
+        modes: ['player'],
+        keys: {S: []},
+        label: "Search",
+        help: "search for hidden traps",
+        execute() { playerSearch(); },
+    },
+    'look-open': {
+        modes: ['player'],
+        keys: {x: []},
+        label: "look",
+        help: "look around",
+        execute() { lookMode.open(); },
+    },
+    'minimap-open': {
+        modes: ['player'],
+        keys: {m: []},
+        label: "Map",
+        help: "show the map of this level",
+        execute() { minimapOverlay.open(); },
+    },
+    'character-open': {
+        modes: ['player', 'dead'],
+        keys: {c: []},
+        help: "show character information",
+        execute() { characterOverlay.open(); },
+    },
+    'help-open': {
+        modes: ['player', 'dead'],
+        keys: {'?': []},
+        label: "help",
+        execute() { helpOverlay.open(); },
+    },
+    'toggle-debug': {
+        modes: ['player', 'dead'],
+        keys: {o: []},
+        help: "show the whole map, for debugging",
+        execute() { DEBUG_ALL_EXPLORED = !DEBUG_ALL_EXPLORED; },
+    },
+    'camera-mode': {
+        modes: ['player', 'dead'],
+        keys: {p: []},
+        help: "switch between scrolling near the edges and keeping you centered",
+        execute() {
+            camera.mode = CAMERA_MODES[(CAMERA_MODES.indexOf(camera.mode) + 1) % CAMERA_MODES.length];
+            window.localStorage.setItem(CAMERA_STORAGE_KEY, camera.mode);
+            setTemporaryOverlayMessage(camera.mode === 'centered' ? "Camera: centered." : "Camera: scroll near the edges.");
+        },
+    },
+    'keybindings-open': {
+        modes: ['player', 'dead'],
+        keys: {'=': []},
+        help: "change the keys",
+        execute() { keybindingsOverlay.open(); },
+    },
+    'travel': {
+        modes: ['player', 'minimap'],
+        execute(x, y) {
+            minimapOverlay.close();
+            playerTravelTo(x, y);
+        },
+    },
+
+    'upgrade': {
+        modes: ['upgrade'],
+        keys: {a: ['hp'], b: ['str'], c: ['def']},
+        fixedKeys: true,
+        execute(stat) {
+            switch (stat) {
+              case 'hp':
+                  player.base_max_hp += 20;
+                  player.hp += 20;
+                  break;
+              case 'str':
+                  player.base_power += 1;
+                  break;
+              case 'def':
+                  player.base_defense += 1;
+                  break;
+              default:
+                  throw `invalid upgrade ${stat}`;
+            }
+            upgradeOverlay.close();
+        },
+    },
+    'inventory-do-use': {
+        modes: ['inventory-use'],
+        keys: LETTER_KEYS,
+        fixedKeys: true,
+        canPerform: (state, slot) => player.inventory[slot] !== null,
+        execute(slot) {
+            inventoryOverlayUse.close();
+            useItem(player, entities.get(player.inventory[slot]));
+        },
+    },
+    'inventory-close-use': {
+        modes: ['inventory-use'],
+        keys: {Escape: []},
+        fixedKeys: true,
+        execute() { inventoryOverlayUse.close(); },
+    },
+    'inventory-do-drop': {
+        modes: ['inventory-drop'],
+        keys: LETTER_KEYS,
+        fixedKeys: true,
+        canPerform: (state, slot) => player.inventory[slot] !== null,
+        execute(slot) {
+            inventoryOverlayDrop.close();
+            dropItem(player, entities.get(player.inventory[slot]));
+        },
+    },
+    'inventory-close-drop': {
+        modes: ['inventory-drop'],
+        keys: {Escape: []},
+        fixedKeys: true,
+        execute() { inventoryOverlayDrop.close(); },
+    },
+    'pickup-do': {
+        modes: ['pickup'],
+        keys: LETTER_KEYS,
+        fixedKeys: true,
+        canPerform: (state, index) => index < pickupOverlay.items.length,
+        execute(index) {
+            let item = pickupOverlay.items[index];
+            pickupOverlay.close();
+            playerPickupItemEntity(item);
+        },
+    },
+    'pickup-close': {
+        modes: ['pickup'],
+        keys: {Escape: []},
+        fixedKeys: true,
+        execute() { pickupOverlay.close(); },
+    },
+    'character-close': {
+        modes: ['character'],
+        toggles: 'character-open',
+        execute() { characterOverlay.close(); },
+    },
+    'minimap-close': {
+        modes: ['minimap'],
+        toggles: 'minimap-open',
+        execute() { minimapOverlay.close(); },
+    },
+    'help-close': {
+        modes: ['help'],
+        toggles: 'help-open',
+        execute() { helpOverlay.close(); },
+    },
+    'keybindings-close': {
+        modes: ['keybindings'],
+        toggles: 'keybindings-open',
+        execute() { keybindingsOverlay.close(); },
+    },
+    'keybindings-select': {
+        modes: ['keybindings'],
+        keys: {ArrowDown: [+1], ArrowUp: [-1]},
+        fixedKeys: true,
+        execute(direction) { keybindingsOverlay.moveSelection(direction); },
+    },
+    'keybindings-change': {
+        modes: ['keybindings'],
+        keys: {Enter: []},
+        fixedKeys: true,
+        execute() { keybindingsOverlay.startCapture(); },
+    },
+    'keybindings-clear': {
+        modes: ['keybindings'],
+        keys: {Backspace: [], Delete: []},
+        fixedKeys: true,
+        execute() { keybindingsOverlay.clearSelected(); },
+    },
+    'keybindings-preset': {
+        modes: ['keybindings'],
+        keys: Object.fromEntries(Object.keys(KEY_PRESETS).map((preset, i) => [String(i + 1), [preset]])),
+        fixedKeys: true,
+        execute(preset) { keybindingsOverlay.usePreset(preset); },
+    },
+    'keybindings-capture': {
+        modes: ['keybindings-capture'],
+        fixedKeys: true,
+        execute(key) { keybindingsOverlay.finishCapture(key); },
+    },
+
+    'look-move': {
+        modes: ['look'],
+        keys: {...DIRECTION_KEYS.arrows, ...DIRECTION_KEYS.numpadDiagonals, ...DIRECTION_KEYS.vi},
+        label: "move the cursor",
+        help: "move the cursor",
+        execute(dx, dy) { lookMode.moveCursor(dx, dy); },
+    },
+    'look-close': {
+        modes: ['look'],
+        toggles: 'look-open',
+        label: "to stop looking",
+        help: "stop looking",
+        execute() { lookMode.close(); },
+    },
+
+    'targeting-move': {
+        modes: ['targeting'],
+        keys: {...DIRECTION_KEYS.arrows, ...DIRECTION_KEYS.numpadDiagonals, ...DIRECTION_KEYS.vi},
+        label: "aim",
+        help: "move the target",
+        execute(dx, dy) { targetingOverlay.moveCursor(dx, dy); },
+    },
+    'targeting-cycle': {
+        modes: ['targeting'],
+        keys: {Tab: []},
+        label: "next enemy",
+        help: "aim at the next enemy in view",
+        execute() { targetingOverlay.cycleTarget(); },
+    },
+    'targeting-confirm': {
+        modes: ['targeting'],
+        keys: {Enter: []},
+        label: "confirm",
+        help: "use the item on the target",
+        execute() { targetingOverlay.confirm(); },
+    },
+    'targeting-cancel': {
+        modes: ['targeting'],
+        keys: {Escape: []},
+        fixedKeys: true,
+        label: "cancel",
+        help: "cancel",
+        execute() { targetingOverlay.close(); },
+    },
+};
+for (let action of Object.values(ACTIONS)) {
+    action.keys = action.keys || {};
+    action.canPerform = action.canPerform || (() => true);
+}
+
+/** which set of keys is active, depending on what's on screen */
+function currentMode() {
+    return targetingOverlay.visible? 'targeting'
+        : upgradeOverlay.visible? 'upgrade'
+        : inventoryOverlayUse.visible? 'inventory-use'
+        : inventoryOverlayDrop.visible? 'inventory-drop'
+        : pickupOverlay.visible? 'pickup'
+        : characterOverlay.visible? 'character'
+        : helpOverlay.visible? 'help'
+        : lookMode.visible? 'look'
+        : minimapOverlay.visible? 'minimap'
+        : keybindingsOverlay.capturing? 'keybindings-capture'
+        : keybindingsOverlay.visible? 'keybindings'
+        : player.dead? 'dead'
+        : 'player';
+}
+
+/** what canPerform() needs to know */
+function actionState() {
+    let standingOn = allEntitiesAt(player.location.x, player.location.y);
+    return {
+        mode: currentMode(),
+        hasSavedGame: window.localStorage.getItem(STORAGE_KEY) !== null,
+        hasItems: player.inventory.some(id => id !== null),
+        onItem: standingOn.some(e => e.item),
+        onStairs: (standingOn.find(e => e.stairs) || {}).stairs,
+        nextToOpenDoor: adjacentOpenDoors().length > 0,
     };
 }
 
-function handleCharacterKeys(key) {
-    return (key === 'Escape' || key == 'c') && ['character-close'];
+/** the action bound to this key in the current mode, as ['name', ...args] */
+function actionForKey(key, mode=currentMode()) {
+    // While waiting for a new key binding, every key goes to the overlay
+    if (mode === 'keybindings-capture') { return ['keybindings-capture', key]; }
+    for (let [name, action] of Object.entries(ACTIONS)) {
+        let keys = actionKeys(name);
+        if (action.modes.includes(mode) && Object.hasOwn(keys, key)) {
+            return [name, ...keys[key]];
+        }
+    }
+    return undefined;
 }
 
-function handleTargetingKeys(key) {
-    return key === 'Escape' && ['targeting-cancel'];
+/** how a key looks in the instructions and help */
+function keyHTML(key) {
+    const NAMES = {Escape: "ESC", ArrowRight: "→", ArrowLeft: "←", ArrowDown: "↓", ArrowUp: "↑",
+                   Home: "Home", End: "End", PageUp: "PgUp", PageDown: "PgDn",
+                   ' ': "Space", '<': "&lt;", '>': "&gt;"};
+    let shift = key.startsWith('Shift+') || /^[A-Z]$/.test(key);
+    key = key.replace(/^Shift\+/, '');
+    return `${shift ? `<kbd>Shift</kbd>+` : ''}<kbd>${NAMES[key] || key.toUpperCase()}</kbd>`;
 }
 
-function runAction(action) {
-    switch (action[0]) {
-      case 'move': {
-          let [_, dx, dy] = action;
-          playerMoveBy(dx, dy);
-          break;
-      }
+const ARROW_KEYS = ['ArrowRight', 'ArrowLeft', 'ArrowDown', 'ArrowUp'];
 
-      case 'pickup':               { playerPickupItem();           break; }
-      case 'stairs-down':          { playerGoDownStairs();         break; }
-      case 'inventory-open-use':   { inventoryOverlayUse.open();   break; }
-      case 'inventory-close-use':  { inventoryOverlayUse.close();  break; }
-      case 'inventory-open-drop':  { inventoryOverlayDrop.open();  break; }
-      case 'inventory-close-drop': { inventoryOverlayDrop.close(); break; }
-      case 'character-open':       { characterOverlay.open();      break; }
-      case 'character-close':      { characterOverlay.close();     break; }
-      case 'targeting-cancel':     { targetingOverlay.close();     break; }
-
-      case 'upgrade': {
-          let [_, stat] = action;
-          switch (stat) {
-            case 'hp':
-                player.base_max_hp += 20;
-                player.hp += 20;
-                break;
-            case 'str':
-                player.base_power += 1;
-                break;
-            case 'def':
-                player.base_defense += 1;
-                break;
-            default:
-                throw `invalid upgrade ${stat}`;
-          }
-          upgradeOverlay.close();
-          break;
-      }
-      case 'inventory-do-use': {
-          let [_, id] = action;
-          inventoryOverlayUse.close();
-          useItem(player, entities.get(id));
-          break;
-      }
-      case 'inventory-do-drop': {
-          let [_, id] = action;
-          inventoryOverlayDrop.close();
-          dropItem(player, entities.get(id));
-          break;
-      }
-      case 'restore-game': {
-          let json = window.localStorage.getItem(STORAGE_KEY);
-          if (json === null) {
-              setTemporaryOverlayMessage("There is no saved game.");
-          } else {
-              setTemporaryOverlayMessage("Restored saved game.");
-              deserializeGlobalState(json);
-              drawMessages();
-              draw();
-          }
-          break;
-      }
-      case 'save-game': {
-          let json = serializeGlobalState();
-          window.localStorage.setItem(STORAGE_KEY, json);
-          setTemporaryOverlayMessage("Saved game.");
-          break;
-      }
-      case 'toggle-debug': {
-          DEBUG_ALL_EXPLORED = !DEBUG_ALL_EXPLORED;
-          break;
-      }
-      default:
-          throw `unhandled action ${action}`;
+/** all the keys for an action, with the four arrows shortened */
+function keyListHTML(keys) {
+    let html = [];
+    for (let shift of ['', 'Shift+']) {
+        let arrows = ARROW_KEYS.map(key => shift + key);
+        if (arrows.every(key => keys.includes(key))) {
+            html.push(shift ? `<kbd>Shift</kbd>+arrows` : `Arrows`);
+            keys = keys.filter(key => !arrows.includes(key));
+        }
+    }
+    return [...html, ...keys.map(keyHTML)].join(" ");
+}
+
+/** one entry in the instruction line, for the keys that are valid now */
+function instructionHTML(action, keys) {
+    if (ARROW_KEYS.every(key => keys.includes(key))) {
+        return `Arrows ${action.label}`;
+    }
+    if (ARROW_KEYS.every(key => keys.includes(`Shift+${key}`))) {
+        return `<kbd>Shift</kbd>+arrows ${action.label}`;
+    }
+    // When the key is the first letter of the label, put it inside: <kbd>U</kbd>se
+    let [key] = keys;
+    if (/^[a-z]$/i.test(key) && action.label[0].toLowerCase() === key.toLowerCase()) {
+        return `${keyHTML(key)}${action.label.slice(1)}`;
+    }
+    return `${keyHTML(key)} ${action.label}`;
+}
+
+/* The player's key bindings start from one of the KEY_PRESETS and
+   can then be changed one at a time. They're kept in localStorage
+   separately from the saved game, as {preset, keys: {name: {key: args}}},
+   where keys has only the player's changes to the preset, and null args
+   for a key that was removed. That way keys added to the game later
+   still show up for players who have saved their bindings. */
+let keyBindings = {preset: 'arrows+vi', keys: {}};
+
+function isRebindable(action) {
+    return !action.fixedKeys && !action.toggles;
+}
+
+/** the keys for this action, after the player's changes */
+function actionKeys(name) {
+    let action = ACTIONS[name];
+    if (action.toggles) return {Escape: [], ...actionKeys(action.toggles)};
+    if (isRebindable(action)) return keyBindings.keys[name] || action.keys;
+    return action.keys;
+}
+
+function presetKeys(preset) {
+    return Object.fromEntries(
+        Object.entries(ACTIONS)
+            .filter(([_, action]) => isRebindable(action))
+            .map(([name, action]) => [name, KEY_PRESETS[preset][name] || action.keys]));
+}
+
+function loadKeyBindings() {
+    let saved = null;
+    try {
+        saved = JSON.parse(window.localStorage.getItem(KEYBINDINGS_STORAGE_KEY));
+    } catch (e) {
+        // Unreadable, so start over from the default preset
+    }
+    let preset = saved && KEY_PRESETS[saved.preset] ? saved.preset : 'arrows+vi';
+    keyBindings = {preset, keys: presetKeys(preset)};
+    let changes = saved && typeof saved.keys === 'object' && saved.keys ? saved.keys : {};
+    for (let [name, keys] of Object.entries(changes)) {
+        // Skip actions that have been renamed or removed since it was saved
+        if (!ACTIONS[name] || !isRebindable(ACTIONS[name]) || typeof keys !== 'object' || !keys) continue;
+        let merged = {...keyBindings.keys[name]};
+        for (let [key, args] of Object.entries(keys)) {
+            if (args === null) delete merged[key];
+            else merged[key] = args;
+        }
+        keyBindings.keys[name] = merged;
     }
-    draw();
 }
 
-function currentKeyHandler() {
-    return targetingOverlay.visible? handleTargetingKeys
-        : upgradeOverlay.visible? handleUpgradeKeys
-        : inventoryOverlayUse.visible? handleInventoryKeys('use')
-        : inventoryOverlayDrop.visible? handleInventoryKeys('drop')
-        : characterOverlay.visible? handleCharacterKeys
-        : player.dead? handlePlayerDeadKeys
-        : handlePlayerKeys;
+function saveKeyBindings() {
+    let defaults = presetKeys(keyBindings.preset);
+    let changes = {};
+    for (let [name, keys] of Object.entries(keyBindings.keys)) {
+        let changed = {};
+        for (let key of Object.keys(defaults[name])) {
+            if (!(key in keys)) changed[key] = null;
+        }
+        for (let [key, args] of Object.entries(keys)) {
+            if (String(defaults[name][key]) !== String(args)) changed[key] = args;
+        }
+        if (Object.keys(changed).length > 0) changes[name] = changed;
+    }
+    window.localStorage.setItem(KEYBINDINGS_STORAGE_KEY,
+                                JSON.stringify({preset: keyBindings.preset, keys: changes}));
+}
+
+/** Each thing that can be rebound is an action plus its arguments,
+    like "move left". These come from the defaults and all the presets,
+    so that a row stays in the list even when it has no keys. */
+function keyBindingRows() {
+    let rows = [];
+    for (let [name, action] of Object.entries(ACTIONS)) {
+        if (!isRebindable(action)) continue;
+        let allKeys = [action.keys, ...Object.values(KEY_PRESETS).map(preset => preset[name] || {})];
+        let argsSeen = new Set();
+        for (let args of allKeys.flatMap(keys => Object.values(keys))) {
+            if (argsSeen.has(String(args))) continue;
+            argsSeen.add(String(args));
+            rows.push({name, args});
+        }
+    }
+    return rows;
+}
+
+function keyBindingTitle({name, args}) {
+    const DIRECTION_NAMES = {
+        '1,0': "right", '-1,0': "left", '0,1': "down", '0,-1': "up",
+        '1,1': "down-right", '-1,1': "down-left", '1,-1': "up-right", '-1,-1': "up-left",
+    };
+    let action = ACTIONS[name];
+    let title = (action.label || action.help || name).toLowerCase();
+    if (args.length > 0) title += ` ${DIRECTION_NAMES[String(args)] || args.join(" ")}`;
+    return title;
+}
+
+/** the keys currently bound to one row from keyBindingRows() */
+function keyBindingRowKeys({name, args}) {
+    return Object.keys(keyBindings.keys[name])
+        .filter(key => String(keyBindings.keys[name][key]) === String(args));
+}
+
+/** keys that do more than one thing in the same mode, as [{key, titles}] */
+function findKeyConflicts() {
+    let conflicts = new Map();
+    let modes = new Set(Object.values(ACTIONS).flatMap(action => action.modes));
+    for (let mode of modes) {
+        let uses = {}; // key → titles
+        for (let [name, action] of Object.entries(ACTIONS)) {
+            if (!action.modes.includes(mode)) continue;
+            for (let [key, args] of Object.entries(actionKeys(name))) {
+                uses[key] = uses[key] || [];
+                uses[key].push(keyBindingTitle({name, args}));
+            }
+        }
+        for (let [key, titles] of Object.entries(uses)) {
+            // An action used in several modes would otherwise be reported once per mode
+            if (titles.length > 1) conflicts.set(`${key} ${titles}`, {key, titles});
+        }
+    }
+    return Array.from(conflicts.values());
+}
+
+function runAction([name, ...args]) {
+    let action = ACTIONS[name];
+    if (!action) throw `unhandled action ${name}`;
+    if (!action.canPerform(actionState(), ...args)) {
+        if (action.unavailable) print(action.unavailable, 'warning');
+        return;
+    }
+    action.execute(...args);
+    draw();
 }
 
 function handleKeyDown(event) {
     if (event.altKey || event.ctrlKey || event.metaKey) return;
-    let action = currentKeyHandler()(event.key);
+    // Shift+letter already arrives as an uppercase key, but the arrow
+    // keys need the modifier spelled out
+    let key = event.shiftKey && event.key.startsWith('Arrow') ? `Shift+${event.key}` : event.key;
+    let action = actionForKey(key);
     if (action) {
         event.preventDefault();
         runAction(action);
@@ -1053,13 +3588,21 @@ function handleKeyDown(event) {
 }
 
 function handleMousemove(event) {
-    let lightMap = computeLightMap(player.location, tileMap);
-    let [x, y] = display.eventToPosition(event); // returns -1, -1 for out of bounds
-    let entities = lightMap.get(x, y) > 0.0 ? allEntitiesAt(x, y) : [];
+    let lightMap = computePlayerLightMap();
+    let [x, y] = eventToMapPosition(event) || [-1, -1];
+    let entities = lightMap.get(x, y) > 0.0 ? allEntitiesAt(x, y).filter(e => !isHiddenTrap(e)) : [];
     let text = entities.map(e => e.name).join("\n");
     setOverlayMessage(text);
 }
 
+function handleClick(event) {
+    // Click on an explored tile to travel there
+    let position = eventToMapPosition(event);
+    if (position && currentMode() === 'player') {
+        runAction(['travel', ...position]);
+    }
+}
+
 function handleMouseout(event) {
     setOverlayMessage("");
 }
@@ -1070,6 +3613,7 @@ function setupInputHandlers(display) {
     canvas.setAttribute('tabindex', "1");
     canvas.addEventListener('keydown', handleKeyDown);
     canvas.addEventListener('mousemove', handleMousemove);
+    canvas.addEventListener('click', handleClick);
     canvas.addEventListener('mouseout', handleMouseout);
     canvas.addEventListener('blur', () => { instructions.classList.add('visible'); });
     canvas.addEventListener('focus', () => { instructions.classList.remove('visible'); });
@@ -1079,8 +3623,14 @@ function setupInputHandlers(display) {
 print("Hello and welcome, adventurer, to yet another dungeon!", 'welcome');
 const inventoryOverlayUse = createInventoryOverlay('use');
 const inventoryOverlayDrop = createInventoryOverlay('drop');
+const pickupOverlay = createPickupOverlay();
 const targetingOverlay = createTargetingOverlay();
 const upgradeOverlay = createUpgradeOverlay();
 const characterOverlay = createCharacterOverlay();
+const lookMode = createLookMode();
+const minimapOverlay = createMinimapOverlay();
+const helpOverlay = createHelpOverlay();
+const keybindingsOverlay = createKeybindingsOverlay();
+loadKeyBindings();
 setupInputHandlers(display);
 draw();